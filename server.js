@@ -2,10 +2,30 @@
 import express from 'express';
 import cors from 'cors';
 import { RedisCache } from './src/cache/redisCache.js';
-import { SQLiteCache } from './src/cache/sqliteCache.js';
+import { SQLiteCache, DB_PATH } from './src/cache/sqliteCache.js';
 import { CacheService } from './src/cache/cacheService.js';
 import { BkkMassageMergeService } from './src/services/bkkMassageMerge.js';
-import { loadCorpusFiles } from './src/loaders/corpusLoader.js';
+import { ANALYSIS_TASKS } from './src/services/taskAnalysis.js';
+import { parseQuery } from './src/services/queryParser.js';
+import { isValidCoordinate } from './src/services/geo.js';
+import { parseShopQueryParams, parseOpenAt, queryShops } from './src/services/shopQuery.js';
+import { annotateOpenStatus } from './src/services/openingHours.js';
+import { annotatePriceFlags, normalizePrice, assessPrice } from './src/services/pricing.js';
+import { CurrencyConverter, BASE_CURRENCY } from './src/services/currency.js';
+import { validateStrategy, listStrategies, FIELD_POLICIES, MERGE_FIELDS } from './src/services/mergeStrategies.js';
+import {
+  loadCorpusFiles,
+  listCorpusFiles,
+  validateCorpus,
+  reloadCorpus,
+  watchCorpus,
+  stopWatchingCorpus,
+  corpusFileInfo,
+  readCorpusFile,
+  parseCorpusSnapshot,
+} from './src/loaders/corpusLoader.js';
+import { diffCorpusRecords } from './src/services/corpusDiff.js';
+import { CorpusContributions } from './src/services/corpusContributions.js';
 import { crawlAndClassifyPages } from './src/routes/crawl.js';
 
 const app = express();
@@ -18,6 +38,36 @@ app.use(express.json());
 // Initialize services
 const mergeService = new BkkMassageMergeService();
 const cacheService = mergeService.cache;
+const currencyConverter = new CurrencyConverter();
+const contributions = new CorpusContributions(cacheService);
+
+/**
+ * Open status (at `openAt`, dropping shops closed then) and district price
+ * flags for shops read back from the cache
+ */
+async function decorateShops(shops, openAt = null) {
+  const pricingReference = await cacheService.getPricingReference();
+  const open = annotateOpenStatus(shops, openAt || new Date(), { filterClosed: Boolean(openAt) });
+  return annotatePriceFlags(open, pricingReference);
+}
+
+/**
+ * Exchange rate for a `currency` parameter (null when none was asked for).
+ * Sends a 400 and returns undefined when the currency isn't supported.
+ */
+function resolveDisplayCurrency(currency, res) {
+  if (!currency) return null;
+  const exchangeRate = currencyConverter.resolve(currency);
+  if (!exchangeRate) {
+    res.status(400).json({
+      ok: false,
+      error: `Unsupported currency: ${currency}`,
+      supported_currencies: currencyConverter.supportedCurrencies(),
+    });
+    return undefined;
+  }
+  return exchangeRate;
+}
 
 // Health check endpoint (main)
 app.get('/v1/health', async (req, res) => {
@@ -35,15 +85,10 @@ app.get('/v1/health', async (req, res) => {
     };
 
     // Check Redis
-    if (process.env.REDIS_URL) {
+    if (mergeService.cache.redis) {
       try {
-        const redisCache = mergeService.cache.redis;
-        if (redisCache) {
-          const pingResult = await redisCache.ping();
-          health.checks.redis = pingResult ? 'connected' : 'connection_failed';
-        } else {
-          health.checks.redis = 'not_initialized';
-        }
+        const pingResult = await mergeService.cache.redis.ping();
+        health.checks.redis = pingResult ? 'connected' : 'connection_failed';
       } catch (e) {
         health.checks.redis = `error: ${e.message}`;
       }
@@ -68,9 +113,12 @@ app.get('/v1/health', async (req, res) => {
     try {
       const shops = loadCorpusFiles('shops_verified.ndjson');
       health.checks.corpus = shops && shops.length > 0 ? `loaded (${shops.length} shops)` : 'empty';
+      health.corpus_files = corpusFileInfo();
     } catch (e) {
       health.checks.corpus = `error: ${e.message}`;
     }
+    health.invalidation = cacheService.bus.mode;
+    health.cache_backends = cacheService.backends.map(backend => backend.name);
 
     const allOk = Object.values(health.checks).every(
       check => check === 'connected' || check === 'not_configured' || check.includes('loaded')
@@ -89,30 +137,101 @@ app.get('/v1/health', async (req, res) => {
 // Merge live Google Maps data with corpus
 app.post('/v1/merge/bkk_massage', async (req, res) => {
   try {
-    const { liveShops, district, mergeStrategy, content, task, region } = req.body;
+    const {
+      liveShops,
+      district,
+      mergeStrategy,
+      fieldPolicies,
+      matchThreshold,
+      includeProvenance,
+      content,
+      task,
+      region,
+    } = req.body;
+
+    const openAtErrors = [];
+    const openAt = parseOpenAt(req.body.open_at ?? req.query.open_at, openAtErrors);
+    if (openAtErrors.length > 0) {
+      return res.status(400).json({ ok: false, error: openAtErrors.join('; ') });
+    }
+
+    const exchangeRate = resolveDisplayCurrency(req.body.currency || req.query.currency, res);
+    if (exchangeRate === undefined) return;
+    const convert = (shops) => (exchangeRate ? shops.map(shop => currencyConverter.convertShop(shop, exchangeRate)) : shops);
+
+    if (task && !ANALYSIS_TASKS.includes(task)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown task: ${task}`,
+        valid_tasks: ANALYSIS_TASKS,
+      });
+    }
+
+    const strategyErrors = validateStrategy(mergeStrategy, fieldPolicies);
+    if (strategyErrors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: strategyErrors.join('; '),
+        valid_strategies: listStrategies().map(s => s.name),
+        valid_policies: FIELD_POLICIES,
+      });
+    }
+
+    // Free-text query from invoke_bkk_merge drives filtering and ranking
+    const parsedQuery = content ? parseQuery(content) : null;
+    const targetDistrict = district || region || parsedQuery?.district || null;
+    // With open_at, shops known to be closed at that time are left out
+    const at = openAt || new Date();
+    const applyQuery = (merged) => {
+      const open = annotateOpenStatus(merged, at, { filterClosed: Boolean(openAt) });
+      const closed = merged.length - open.length;
+      if (!parsedQuery) return { shops: open, excluded: closed };
+      const { shops, excluded } = mergeService.applyQuery(open, parsedQuery, at);
+      return { shops, excluded: excluded + closed };
+    };
 
     // If liveShops provided, merge them
     if (liveShops && Array.isArray(liveShops)) {
       const merged = await mergeService.mergeShopData(liveShops, {
-        district: district || region,
+        district: targetDistrict,
         mergeStrategy: mergeStrategy || 'enrich_with_corpus',
+        fieldPolicies: fieldPolicies || null,
+        matchThreshold: typeof matchThreshold === 'number' ? matchThreshold : undefined,
+        includeProvenance: includeProvenance !== false,
       });
+      const { shops, excluded } = applyQuery(merged);
 
       return res.json({
         ok: true,
-        shops: merged,
-        count: merged.length,
+        task: task || null,
+        parsed_query: parsedQuery,
+        analysis: task ? await mergeService.analyzeTask(task, shops) : null,
+        shops: convert(shops),
+        count: shops.length,
+        excluded_by_query: excluded,
+        open_at: openAt ? openAt.toISOString() : null,
+        exchange_rate: exchangeRate,
         merged_at: new Date().toISOString(),
       });
     }
 
     // Otherwise, return cached/merged data
-    const shops = await cacheService.getShops(district || region || null);
+    const cached = annotatePriceFlags(
+      await cacheService.getShops(targetDistrict),
+      await cacheService.getPricingReference()
+    );
+    const { shops, excluded } = applyQuery(cached);
 
     res.json({
       ok: true,
-      shops,
+      task: task || null,
+      parsed_query: parsedQuery,
+      analysis: task ? await mergeService.analyzeTask(task, shops) : null,
+      shops: convert(shops),
       count: shops.length,
+      excluded_by_query: excluded,
+      open_at: openAt ? openAt.toISOString() : null,
+      exchange_rate: exchangeRate,
       source: 'cache',
       cached_at: new Date().toISOString(),
     });
@@ -125,21 +244,240 @@ app.post('/v1/merge/bkk_massage', async (req, res) => {
   }
 });
 
+// GET /v1/merge/strategies
+// Named merge strategy presets and the per-field policies they use
+app.get('/v1/merge/strategies', (req, res) => {
+  res.json({
+    ok: true,
+    strategies: listStrategies(),
+    policies: FIELD_POLICIES,
+    fields: Object.keys(MERGE_FIELDS),
+  });
+});
+
 // GET /v1/shops
 // Get merged shops from cache
 app.get('/v1/shops', async (req, res) => {
   try {
-    const { district, region } = req.query;
-    const shops = await cacheService.getShops(district || region || null);
+    const { district, region, as_of } = req.query;
+    const { params, errors } = parseShopQueryParams(req.query);
+    if (errors) {
+      return res.status(400).json({ ok: false, error: errors.join('; ') });
+    }
+    const exchangeRate = resolveDisplayCurrency(req.query.currency, res);
+    if (exchangeRate === undefined) return;
+
+    let asOf = null;
+    if (as_of) {
+      asOf = new Date(as_of);
+      if (Number.isNaN(asOf.getTime())) {
+        return res.status(400).json({ ok: false, error: 'as_of must be an ISO 8601 timestamp' });
+      }
+    }
+
+    const shops = asOf
+      ? await cacheService.getShopsAsOf(asOf.toISOString(), district || region || null)
+      : await cacheService.getShops(district || region || null);
+    const searchRanks = params.q ? await cacheService.searchShops(params.q) : null;
+    const page = queryShops(shops, params, { searchRanks });
+    const pricingReference = await cacheService.getPricingReference();
+    let pageShops = annotatePriceFlags(page.shops, pricingReference);
+    if (exchangeRate) {
+      pageShops = pageShops.map(shop => currencyConverter.convertShop(shop, exchangeRate));
+    }
 
     res.json({
       ok: true,
+      shops: pageShops,
+      count: page.shops.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      sort: params.sort,
+      open_at: params.open_at ? params.open_at.toISOString() : null,
+      exchange_rate: exchangeRate,
+      source: asOf ? 'history' : 'cache',
+      ...(asOf ? { as_of: asOf.toISOString() } : {}),
+    });
+  } catch (error) {
+    console.error('[shops] Error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/shops/nearby
+// Shops within radius_m of a point, nearest first
+app.get('/v1/shops/nearby', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = req.query.radius_m ? parseFloat(req.query.radius_m) : 1000;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    const errors = [];
+    const openAt = parseOpenAt(req.query.open_at, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors.join('; ') });
+    }
+    if (!isValidCoordinate(lat, lng)) {
+      return res.status(400).json({ ok: false, error: 'lat and lng are required numeric coordinates' });
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > 50000) {
+      return res.status(400).json({ ok: false, error: 'radius_m must be between 0 and 50000' });
+    }
+
+    const shops = await decorateShops(await cacheService.getShopsNearby(lat, lng, radius, limit), openAt);
+
+    res.json({
+      ok: true,
+      center: { lat, lng },
+      radius_m: radius,
       shops,
       count: shops.length,
-      source: 'cache',
     });
   } catch (error) {
-    console.error('[shops] Error:', error);
+    console.error('[shops] Nearby error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/shops/bbox
+// Shops inside a bounding box, sorted by distance from its center
+app.get('/v1/shops/bbox', async (req, res) => {
+  try {
+    const box = {
+      minLat: parseFloat(req.query.min_lat),
+      minLng: parseFloat(req.query.min_lng),
+      maxLat: parseFloat(req.query.max_lat),
+      maxLng: parseFloat(req.query.max_lng),
+    };
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const errors = [];
+    const openAt = parseOpenAt(req.query.open_at, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors.join('; ') });
+    }
+    if (!isValidCoordinate(box.minLat, box.minLng) || !isValidCoordinate(box.maxLat, box.maxLng) ||
+        box.minLat > box.maxLat || box.minLng > box.maxLng) {
+      return res.status(400).json({
+        ok: false,
+        error: 'min_lat, min_lng, max_lat and max_lng are required and must form a valid box',
+      });
+    }
+
+    const shops = await decorateShops(await cacheService.getShopsInBox(box, limit), openAt);
+
+    res.json({
+      ok: true,
+      bbox: box,
+      shops,
+      count: shops.length,
+    });
+  } catch (error) {
+    console.error('[shops] Bounding box error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/conflicts?district=Asok&field=price_oil&severity=high&status=open
+// Live-vs-corpus conflicts found during merges, grouped by corpus shop
+app.get('/v1/conflicts', async (req, res) => {
+  try {
+    const { district, field, severity } = req.query;
+    const status = req.query.status === 'all' ? null : (req.query.status || 'open');
+    const conflicts = await cacheService.getConflicts({ district, field, severity, status });
+
+    // Corpus entries with the most (and most severe) conflicts need re-verification first
+    const byShop = {};
+    for (const conflict of conflicts) {
+      const key = conflict.corpus_key || conflict.shop_id;
+      byShop[key] ??= {
+        corpus_key: conflict.corpus_key,
+        shop_name: conflict.shop_name,
+        district: conflict.district,
+        conflict_count: 0,
+        high_severity: 0,
+        fields: [],
+      };
+      byShop[key].conflict_count++;
+      if (conflict.severity === 'high') byShop[key].high_severity++;
+      byShop[key].fields.push(conflict.field);
+    }
+    const needsReverification = Object.values(byShop)
+      .sort((a, b) => b.high_severity - a.high_severity || b.conflict_count - a.conflict_count);
+
+    res.json({
+      ok: true,
+      conflicts,
+      count: conflicts.length,
+      needs_reverification: needsReverification,
+    });
+  } catch (error) {
+    console.error('[conflicts] Error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/shops/:id
+// Single merged shop
+app.get('/v1/shops/:id', async (req, res) => {
+  try {
+    const errors = [];
+    const openAt = parseOpenAt(req.query.open_at, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: errors.join('; ') });
+    }
+
+    const shop = await cacheService.getShopById(req.params.id);
+
+    if (!shop) {
+      return res.status(404).json({ ok: false, error: 'shop_not_found' });
+    }
+
+    const pricingReference = await cacheService.getPricingReference();
+    const [annotated] = annotatePriceFlags(annotateOpenStatus([shop], openAt || new Date()), pricingReference);
+    res.json({ ok: true, shop: annotated, open_at: openAt ? openAt.toISOString() : null });
+  } catch (error) {
+    console.error('[shops] Detail error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/shops/:id/history
+// Revisions of a merged shop, oldest first, each with the fields that changed
+app.get('/v1/shops/:id/history', async (req, res) => {
+  try {
+    const history = await cacheService.getShopHistory(req.params.id, {
+      includeSnapshots: req.query.snapshots === 'true',
+    });
+
+    if (history.length === 0) {
+      return res.status(404).json({ ok: false, error: 'shop_history_not_found' });
+    }
+
+    res.json({
+      ok: true,
+      shop_id: req.params.id,
+      revisions: history,
+      count: history.length,
+    });
+  } catch (error) {
+    console.error('[shops] History error:', error);
     res.status(500).json({
       ok: false,
       error: error.message,
@@ -170,19 +508,110 @@ app.get('/v1/districts', async (req, res) => {
 // Get pricing reference
 app.get('/v1/pricing', async (req, res) => {
   try {
-    const { district } = req.query;
+    const { district, currency } = req.query;
+    const exchangeRate = resolveDisplayCurrency(currency, res);
+    if (exchangeRate === undefined) return;
+
     let pricing = await cacheService.getPricingReference();
 
     if (district) {
       pricing = pricing.filter(p => p.district === district);
     }
+    if (exchangeRate) {
+      pricing = pricing.map(tier => currencyConverter.convertTier(tier, exchangeRate));
+    }
 
     res.json({
       ok: true,
       pricing,
       count: pricing.length,
+      exchange_rate: exchangeRate,
+    });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/pricing/check?district=Asok&amount=1200&massage_type=oil&duration_min=90
+// or ?district=Asok&quote=Oil massage 90 min 1200 THB
+// Whether a quoted price is sane for the district
+app.get('/v1/pricing/check', async (req, res) => {
+  try {
+    const { district, quote, amount, massage_type, duration_min, currency } = req.query;
+
+    if (!district) {
+      return res.status(400).json({ ok: false, error: 'district is required' });
+    }
+    if (massage_type && !['traditional', 'oil', 'foot'].includes(massage_type)) {
+      return res.status(400).json({ ok: false, error: 'massage_type must be traditional, oil or foot' });
+    }
+
+    const defaults = {
+      massage_type: massage_type || null,
+      duration_min: duration_min ? parseFloat(duration_min) : null,
+      currency: currency || null,
+    };
+    const price = quote
+      ? normalizePrice(String(quote), defaults)
+      : normalizePrice(amount !== undefined ? parseFloat(amount) : null, defaults);
+
+    if (!price) {
+      return res.status(400).json({ ok: false, error: 'amount (a positive number) or a quote containing a price is required' });
+    }
+
+    // Quotes in other currencies are assessed in THB, like the reference tiers
+    let exchangeRate = null;
+    let assessed = price;
+    if (price.currency !== BASE_CURRENCY) {
+      exchangeRate = resolveDisplayCurrency(price.currency, res);
+      if (exchangeRate === undefined) return;
+      assessed = {
+        ...price,
+        amount: currencyConverter.convert(price.amount, price.currency, BASE_CURRENCY),
+        currency: BASE_CURRENCY,
+      };
+    }
+
+    const assessment = assessPrice(assessed, district, await cacheService.getPricingReference());
+
+    res.json({
+      ok: true,
+      ...assessment,
+      quoted: price,
+      sane: assessment.flag ? assessment.flag !== 'suspicious' : null,
+      exchange_rate: exchangeRate,
+    });
+  } catch (error) {
+    console.error('[pricing] Check error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/corpus/validate?file=shops_verified.ndjson
+// Schema validation report for the corpus files, with line-numbered errors
+app.get('/v1/corpus/validate', (req, res) => {
+  try {
+    const available = listCorpusFiles();
+    const { file } = req.query;
+    if (file && !available.includes(file)) {
+      return res.status(404).json({ ok: false, error: `Unknown corpus file: ${file}`, files: available });
+    }
+
+    const report = validateCorpus(file ? [file] : available);
+
+    res.json({
+      ok: true,
+      ...report,
+      checked_at: new Date().toISOString(),
     });
   } catch (error) {
+    console.error('[corpus] Validation error:', error);
     res.status(500).json({
       ok: false,
       error: error.message,
@@ -190,6 +619,367 @@ app.get('/v1/pricing', async (req, res) => {
   }
 });
 
+// POST /v1/corpus/reload  { files?: ['shops_verified.ndjson', ...] }
+// Re-read corpus files now and drop the cache layers built from them
+app.post('/v1/corpus/reload', requireAdminAuth, async (req, res) => {
+  try {
+    const available = listCorpusFiles();
+    const files = req.body?.files || available;
+    if (!Array.isArray(files) || files.some(file => typeof file !== 'string')) {
+      return res.status(400).json({ ok: false, error: 'files must be an array of corpus file names' });
+    }
+    const unknown = files.filter(file => !available.includes(file));
+    if (unknown.length > 0) {
+      return res.status(400).json({ ok: false, error: `Unknown corpus files: ${unknown.join(', ')}`, files: available });
+    }
+
+    // An explicit reload invalidates the caches even for unchanged files
+    const reloaded = reloadCorpus(files);
+    const invalidated = await cacheService.invalidateCorpus(files);
+
+    // Re-warm so the response reflects what the caches now hold
+    const warmed = await cacheService.warmCorpusCaches();
+
+    res.json({
+      ok: true,
+      reloaded,
+      invalidated,
+      warmed,
+      reloaded_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[corpus] Reload error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// Corpus versions are addressed by sha256 hash or a prefix of at least 6 hex digits
+const VERSION_HASH = /^[0-9a-f]{6,64}$/i;
+
+// POST /v1/corpus/rollback  { file, version }
+// Make an earlier snapshot the active corpus file and re-warm the caches
+app.post('/v1/corpus/rollback', requireAdminAuth, async (req, res) => {
+  try {
+    const { file, version } = req.body || {};
+    if (!file || !listCorpusFiles().includes(file)) {
+      return res.status(400).json({ ok: false, error: 'file must name a corpus file', files: listCorpusFiles() });
+    }
+    if (!VERSION_HASH.test(String(version ?? ''))) {
+      return res.status(400).json({ ok: false, error: 'version must be a snapshot hash (at least 6 hex digits)' });
+    }
+
+    const result = await cacheService.rollbackCorpus(file, version);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: `Unknown version of ${file}: ${version}` });
+    }
+
+    res.json({ ok: true, ...result, rolled_back_at: new Date().toISOString() });
+  } catch (error) {
+    if (error.code === 'ambiguous_version') {
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+    console.error('[corpus] Rollback error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/corpus/versions?file=shops_verified.ndjson
+// Stored versions of each corpus file, newest first, with the active one marked
+app.get('/v1/corpus/versions', async (req, res) => {
+  try {
+    const available = listCorpusFiles();
+    const { file } = req.query;
+    if (file && !available.includes(file)) {
+      return res.status(404).json({ ok: false, error: `Unknown corpus file: ${file}`, files: available });
+    }
+
+    const files = file ? [file] : available;
+    const active = Object.fromEntries(files.map(name => [name, readCorpusFile(name)?.hash || null]));
+
+    const versions = await Promise.all(files.map(async name => ({
+      file: name,
+      active_hash: active[name],
+      versions: (await cacheService.listCorpusSnapshots(name)).map(snapshot => ({
+        ...snapshot,
+        active: snapshot.hash === active[name],
+      })),
+    })));
+
+    res.json({ ok: true, files: versions });
+  } catch (error) {
+    console.error('[corpus] Versions error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /v1/corpus/diff?file=shops_verified.ndjson&from=<hash>&to=<hash>
+// Per-record added/removed/changed fields between two versions (`to` defaults to the active one)
+app.get('/v1/corpus/diff', async (req, res) => {
+  try {
+    const available = listCorpusFiles();
+    const file = req.query.file || 'shops_verified.ndjson';
+    if (!available.includes(file)) {
+      return res.status(404).json({ ok: false, error: `Unknown corpus file: ${file}`, files: available });
+    }
+
+    const { from } = req.query;
+    const to = req.query.to || readCorpusFile(file)?.hash;
+
+    if (!VERSION_HASH.test(String(from ?? '')) || !VERSION_HASH.test(String(to ?? ''))) {
+      return res.status(400).json({ ok: false, error: 'from and to must be version hashes (at least 6 hex digits)' });
+    }
+
+    const fromSnapshot = await cacheService.getCorpusSnapshot(file, from);
+    const toSnapshot = await cacheService.getCorpusSnapshot(file, to);
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({
+        ok: false,
+        error: `Unknown version of ${file}: ${!fromSnapshot ? from : to}`,
+      });
+    }
+
+    const diff = diffCorpusRecords(
+      parseCorpusSnapshot(file, fromSnapshot.content),
+      parseCorpusSnapshot(file, toSnapshot.content)
+    );
+
+    res.json({
+      ok: true,
+      file,
+      from: fromSnapshot.hash,
+      to: toSnapshot.hash,
+      ...diff,
+    });
+  } catch (error) {
+    if (error.code === 'ambiguous_version') {
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+    console.error('[corpus] Diff error:', error);
+    res.status(500).json({
+      ok: false,
+      error: error.message,
+    });
+  }
+});
+
+// Admin middleware - API key protection
+function requireAdminAuth(req, res, next) {
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
+  const expectedApiKey = process.env.ADMIN_API_KEY || 'croutons-admin-key-2024';
+
+  if (!apiKey || apiKey !== expectedApiKey) {
+    return res.status(401).json({
+      ok: false,
+      error: 'unauthorized',
+      message: 'Valid admin API key required',
+    });
+  }
+
+  next();
+}
+
+const OVERRIDE_ACTIONS = ['pin', 'forbid'];
+const REVIEW_ACTIONS = ['match', 'reject', 'dismiss'];
+const PROPOSAL_ACTIONS = ['approve', 'reject'];
+
+// HTTP status for each CorpusContributions error code
+const CONTRIBUTION_ERROR_STATUS = {
+  invalid_record: 400,
+  shop_not_found: 404,
+  proposal_not_found: 404,
+  shop_exists: 409,
+  proposal_closed: 409,
+};
+
+function sendContributionResult(res, result, successStatus = 200) {
+  if (result.error) {
+    return res.status(CONTRIBUTION_ERROR_STATUS[result.error] || 500).json({ ok: false, ...result });
+  }
+  res.status(successStatus).json({ ok: true, ...result });
+}
+
+// GET /v1/admin/cache?pattern=bkk_massage:shops*
+// Per-tier hit ratios, and each cache backend's keys with TTLs and tags
+// (Redis keys also carry this instance's hit/miss counts)
+app.get('/v1/admin/cache', requireAdminAuth, async (req, res) => {
+  try {
+    const cache = await cacheService.inspectCache(req.query.pattern || undefined);
+    res.json({ ok: true, ...cache });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// POST /v1/admin/cache/invalidate  { tags: ["district:asok", "shop:<id>"] }
+app.post('/v1/admin/cache/invalidate', requireAdminAuth, async (req, res) => {
+  try {
+    const { tags } = req.body || {};
+    if (!Array.isArray(tags) || tags.length === 0 || !tags.every(tag => typeof tag === 'string')) {
+      return res.status(400).json({ ok: false, error: 'tags must be a non-empty array of strings' });
+    }
+
+    const deleted = await cacheService.invalidateTags(tags);
+    res.json({ ok: true, tags, deleted });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// GET /v1/admin/match-overrides
+// List manual live<->corpus match overrides
+app.get('/v1/admin/match-overrides', requireAdminAuth, async (req, res) => {
+  try {
+    const overrides = await cacheService.listMatchOverrides();
+    res.json({ ok: true, overrides, count: overrides.length });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// POST /v1/admin/match-overrides
+// Pin or forbid a live<->corpus pairing (keys are shop ids, or derived from names)
+app.post('/v1/admin/match-overrides', requireAdminAuth, async (req, res) => {
+  try {
+    const { live_key, live_name, corpus_key, corpus_name, action, note } = req.body;
+    const liveKey = live_key || (live_name && mergeService.generateId(live_name));
+    const corpusKey = corpus_key || (corpus_name && mergeService.generateId(corpus_name));
+
+    if (!liveKey || !corpusKey || !OVERRIDE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'live_key (or live_name), corpus_key (or corpus_name) and action are required',
+        valid_actions: OVERRIDE_ACTIONS,
+      });
+    }
+
+    const override = await cacheService.saveMatchOverride({
+      live_key: liveKey,
+      corpus_key: corpusKey,
+      action,
+      note,
+    });
+    res.status(201).json({ ok: true, override });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// DELETE /v1/admin/match-overrides/:id
+app.delete('/v1/admin/match-overrides/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const deleted = await cacheService.deleteMatchOverride(parseInt(req.params.id, 10));
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'override_not_found' });
+    }
+    res.json({ ok: true, deleted: true });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// GET /v1/admin/review-queue?status=pending|resolved|all
+// Live shops whose best corpus match was ambiguous
+app.get('/v1/admin/review-queue', requireAdminAuth, async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    const reviews = await cacheService.listMatchReviews(status);
+    res.json({ ok: true, reviews, count: reviews.length });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// POST /v1/admin/review-queue/:id/resolve
+// Resolve a queued merge: { action: 'match', corpus_key } | { action: 'reject' } | { action: 'dismiss' }
+app.post('/v1/admin/review-queue/:id/resolve', requireAdminAuth, (req, res) => {
+  try {
+    const { action, corpus_key, note } = req.body;
+
+    if (!REVIEW_ACTIONS.includes(action) || (action === 'match' && !corpus_key)) {
+      return res.status(400).json({
+        ok: false,
+        error: "action is required, and 'match' needs a corpus_key",
+        valid_actions: REVIEW_ACTIONS,
+      });
+    }
+
+    const result = mergeService.resolveMatchReview(parseInt(req.params.id, 10), { action, corpus_key, note });
+    if (!result) {
+      return res.status(404).json({ ok: false, error: 'review_not_found' });
+    }
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// POST /v1/corpus/shops
+// Propose a new verified shop; it is added to the corpus once an admin approves it
+app.post('/v1/corpus/shops', requireAdminAuth, (req, res) => {
+  try {
+    sendContributionResult(res, contributions.proposeShop(req.body || {}), 202);
+  } catch (error) {
+    console.error('[corpus] Shop proposal error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// PATCH /v1/corpus/shops/:id
+// Propose changes to a corpus shop (null removes a field)
+app.patch('/v1/corpus/shops/:id', requireAdminAuth, (req, res) => {
+  try {
+    sendContributionResult(res, contributions.proposeShopUpdate(req.params.id, req.body || {}), 202);
+  } catch (error) {
+    console.error('[corpus] Shop proposal error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// GET /v1/corpus/proposals?status=pending|approved|rejected|all
+app.get('/v1/corpus/proposals', requireAdminAuth, async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    const proposals = await cacheService.listCorpusProposals({ status, shop_id: req.query.shop_id || null });
+    res.json({ ok: true, proposals, count: proposals.length });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// POST /v1/corpus/proposals/:id/resolve
+// { action: 'approve' } writes the shop to the corpus and refreshes the caches; { action: 'reject' } closes it
+app.post('/v1/corpus/proposals/:id/resolve', requireAdminAuth, async (req, res) => {
+  try {
+    const { action, note } = req.body || {};
+
+    if (!PROPOSAL_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'action is required',
+        valid_actions: PROPOSAL_ACTIONS,
+      });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    const result = action === 'approve'
+      ? await contributions.approve(id, { note })
+      : contributions.reject(id, { note });
+    sendContributionResult(res, result);
+  } catch (error) {
+    console.error('[corpus] Proposal resolve error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 // Health check for merge endpoint (lightweight)
 app.get('/v1/merge/health', (req, res) => {
   res.json({
@@ -212,9 +1002,23 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/v1/health',
       merge: 'POST /v1/merge/bkk_massage',
-      shops: 'GET /v1/shops?district=Asok',
+      strategies: 'GET /v1/merge/strategies',
+      shops: 'GET /v1/shops?district=Asok&q=&sort=rating&limit=20',
+      shop: 'GET /v1/shops/:id',
+      nearby: 'GET /v1/shops/nearby?lat=13.7306&lng=100.5628&radius_m=1000',
+      bbox: 'GET /v1/shops/bbox?min_lat=&min_lng=&max_lat=&max_lng=',
+      conflicts: 'GET /v1/conflicts?district=Asok',
       districts: 'GET /v1/districts',
       pricing: 'GET /v1/pricing?district=Asok',
+      pricing_check: 'GET /v1/pricing/check?district=Asok&amount=500&massage_type=traditional',
+      corpus_validate: 'GET /v1/corpus/validate',
+      corpus_reload: 'POST /v1/corpus/reload (admin)',
+      corpus_versions: 'GET /v1/corpus/versions',
+      corpus_diff: 'GET /v1/corpus/diff?file=shops_verified.ndjson&from=<hash>&to=<hash>',
+      corpus_rollback: 'POST /v1/corpus/rollback (admin)',
+      admin_cache: 'GET /v1/admin/cache, POST /v1/admin/cache/invalidate (admin)',
+      corpus_shops: 'POST /v1/corpus/shops, PATCH /v1/corpus/shops/:id (admin, pending until approved)',
+      corpus_proposals: 'GET /v1/corpus/proposals, POST /v1/corpus/proposals/:id/resolve (admin)',
       crawl: 'POST /v1/crawl/discover',
     },
   });
@@ -233,8 +1037,17 @@ app.use((err, req, res, next) => {
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`[server] Croutons Merge Service listening on port ${PORT}`);
   console.log(`[server] Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[server] Redis: ${process.env.REDIS_URL ? 'configured' : 'not configured'}`);
+  console.log(`[server] Cache backends: ${cacheService.backends.map(backend => backend.name).join(', ') || 'none'}`);
+  console.log(`[server] SQLite: ${DB_PATH}`);
   
+  // Pick up corpus edits without a restart (CORPUS_WATCH=false to disable)
+  if (process.env.CORPUS_WATCH !== 'false') {
+    watchCorpus();
+  }
+
+  // Apply other instances' cache invalidations (Redis pub/sub, or polling)
+  cacheService.startInvalidationSync();
+
   // Verify startup
   verifyStartup();
 });
@@ -242,6 +1055,8 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('[server] SIGTERM received, shutting down gracefully');
+  stopWatchingCorpus();
+  cacheService.stopInvalidationSync();
   server.close(() => {
     console.log('[server] Process terminated');
     process.exit(0);
@@ -261,12 +1076,10 @@ async function verifyStartup() {
     }
     
     // Check Redis (if configured)
-    if (process.env.REDIS_URL) {
-      const redis = mergeService.cache.redis;
-      if (redis) {
-        await redis.ping();
-        console.log('[startup] ✅ Redis connected');
-      }
+    const redis = mergeService.cache.redis;
+    if (redis) {
+      await redis.ping();
+      console.log('[startup] ✅ Redis connected');
     } else {
       console.log('[startup] ⚠️  Redis not configured (optional)');
     }
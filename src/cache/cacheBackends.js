@@ -0,0 +1,62 @@
+import { dirname, join, resolve } from 'path';
+import { DEFAULT_SQLITE_PATH } from './cacheConfig.js';
+import { MemoryCache } from './memoryCache.js';
+import { RedisCache } from './redisCache.js';
+import { SQLiteKeyValueCache } from './sqliteCache.js';
+import { FileCache } from './fileCache.js';
+
+// Cache backends are the tiers CacheService looks keys up in before the
+// SQLite store. Each one provides:
+//
+//   name, shared      - its type, and whether every instance sees the same
+//                       data (Redis) or only this one (memory, file, sqlite)
+//   get(key)          - the stored JSON value, or null
+//   set(key, value, ttlSeconds, tags)
+//   invalidateTags(tags) - drop entries carrying any tag; returns the count
+//   inspect(pattern)  - { keys: [{ key, ttl_s, bytes, tags }], totals }
+//   ping()            - whether the backend is usable
+//
+// Any method may return a promise.
+
+const factories = new Map();
+
+/**
+ * Make a backend type available to CACHE_BACKENDS and CACHE_CONFIG.
+ * `factory(options, config)` gets the backend's options from the config file
+ * and the whole cache config.
+ */
+export function registerCacheBackend(type, factory) {
+  factories.set(type, factory);
+}
+
+export function cacheBackendTypes() {
+  return [...factories.keys()];
+}
+
+/**
+ * Build a backend from a type name or a { type, ...options } spec
+ */
+export function createCacheBackend(spec, config) {
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+  const factory = factories.get(type);
+  if (!factory) {
+    throw new Error(`Unknown cache backend "${type}" (available: ${cacheBackendTypes().join(', ')})`);
+  }
+  return factory(options, config);
+}
+
+registerCacheBackend('memory', (options, config) => new MemoryCache({ ...config.memory, ...options }));
+
+registerCacheBackend('redis', (options) => {
+  const url = options.url || process.env.REDIS_URL;
+  if (!url) throw new Error('The redis cache backend needs REDIS_URL or a url option');
+  return new RedisCache(url);
+});
+
+registerCacheBackend('sqlite', () => new SQLiteKeyValueCache());
+
+registerCacheBackend('file', (options, config) => new FileCache({
+  dir: options.dir
+    ? resolve(config.baseDir, options.dir)
+    : process.env.CACHE_FILE_DIR || join(dirname(DEFAULT_SQLITE_PATH), 'cache'),
+}));
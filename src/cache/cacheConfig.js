@@ -0,0 +1,114 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_SQLITE_PATH = join(__dirname, '../../db/cache.sqlite');
+
+// Per-dataset cache lifetimes, in seconds. `ttl` is how long cached data is
+// fresh; for `stale` seconds after that it is still served while a
+// background refresh runs. Older data is only served if the corpus can't be
+// loaded.
+const DEFAULT_TTLS = {
+  shops: { ttl: 3600, stale: 86400 },
+  districts: { ttl: 86400, stale: 7 * 86400 },
+  pricing: { ttl: 86400, stale: 7 * 86400 },
+};
+
+let loaded = null;
+
+/**
+ * Cache configuration from the JSON file named by CACHE_CONFIG (if any),
+ * with environment variables taking precedence:
+ *
+ *   {
+ *     "backends": ["memory", { "type": "redis", "url": "redis://..." }],
+ *     "sqlite": { "path": "db/cache.sqlite" },
+ *     "memory": { "maxEntries": 500, "maxBytes": 67108864, "ttl": 300 },
+ *     "ttls": { "shops": { "ttl": 3600, "stale": 86400 } }
+ *   }
+ *
+ * `backends` are the tiers looked up, in order, before the SQLite store
+ * (CACHE_BACKENDS=memory,redis); the default is memory, plus Redis when
+ * REDIS_URL is set. Paths in the file are relative to the file. Read once.
+ */
+export function loadCacheConfig(env = process.env) {
+  if (loaded && env === process.env) return loaded;
+
+  const file = env.CACHE_CONFIG ? readConfigFile(env.CACHE_CONFIG) : {};
+  const base = env.CACHE_CONFIG ? dirname(resolve(env.CACHE_CONFIG)) : process.cwd();
+
+  const config = {
+    source: env.CACHE_CONFIG ? resolve(env.CACHE_CONFIG) : null,
+    backends: env.CACHE_BACKENDS
+      ? env.CACHE_BACKENDS.split(',').map(type => type.trim()).filter(Boolean)
+      : file.backends || (env.REDIS_URL ? ['memory', 'redis'] : ['memory']),
+    sqlite: {
+      path: env.SQLITE_PATH
+        ? sqlitePath(env.SQLITE_PATH, process.cwd())
+        : file.sqlite?.path ? sqlitePath(file.sqlite.path, base) : DEFAULT_SQLITE_PATH,
+    },
+    memory: memoryCacheOptions(env, file.memory),
+    ttls: datasetTTLs(env, file.ttls),
+    baseDir: base,
+  };
+
+  if (env === process.env) loaded = config;
+  return config;
+}
+
+/**
+ * TTLs for each dataset, overridable with CACHE_TTL_<DATASET> and
+ * CACHE_STALE_TTL_<DATASET> (e.g. CACHE_TTL_SHOPS=600)
+ */
+export function datasetTTLs(env = process.env, overrides = {}) {
+  const ttls = {};
+  for (const [dataset, defaults] of Object.entries(DEFAULT_TTLS)) {
+    const name = dataset.toUpperCase();
+    const configured = { ...defaults, ...overrides?.[dataset] };
+    ttls[dataset] = {
+      ttl: wholeNumber(env[`CACHE_TTL_${name}`], configured.ttl, `CACHE_TTL_${name}`),
+      stale: wholeNumber(env[`CACHE_STALE_TTL_${name}`], configured.stale, `CACHE_STALE_TTL_${name}`),
+    };
+  }
+  return ttls;
+}
+
+/**
+ * Limits for the in-process LRU tier: CACHE_MEMORY_MAX_ENTRIES (0 turns it
+ * off), CACHE_MEMORY_MAX_BYTES and CACHE_MEMORY_TTL, which caps each
+ * dataset's TTL in memory so instances that miss an invalidation catch up
+ */
+export function memoryCacheOptions(env = process.env, overrides = {}) {
+  const configured = { maxEntries: 500, maxBytes: 64 * 1024 * 1024, ttl: 300, ...overrides };
+  return {
+    maxEntries: wholeNumber(env.CACHE_MEMORY_MAX_ENTRIES, configured.maxEntries, 'CACHE_MEMORY_MAX_ENTRIES'),
+    maxBytes: wholeNumber(env.CACHE_MEMORY_MAX_BYTES, configured.maxBytes, 'CACHE_MEMORY_MAX_BYTES'),
+    ttl: wholeNumber(env.CACHE_MEMORY_TTL, configured.ttl, 'CACHE_MEMORY_TTL'),
+  };
+}
+
+function readConfigFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read CACHE_CONFIG ${path}: ${e.message}`);
+  }
+}
+
+// ':memory:' keeps the SQLite store in memory; anything else is a file path
+function sqlitePath(path, base) {
+  return path === ':memory:' ? path : resolve(base, path);
+}
+
+function wholeNumber(value, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    console.warn(`[cache] Ignoring ${name}=${value}; expected a whole number`);
+    return fallback;
+  }
+  return parsed;
+}
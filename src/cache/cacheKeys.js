@@ -0,0 +1,51 @@
+// Cache keys and tags shared by every cache backend
+
+export const PREFIX = 'bkk_massage';
+
+/**
+ * Normalized form of a query dimension value, so `Asok`, `asok ` and
+ * `ASOK` share a key
+ */
+export function normalizeDimension(value) {
+  return encodeURIComponent(String(value).trim().toLowerCase().replace(/\s+/g, '_'));
+}
+
+/**
+ * Cache key for a dataset and the query dimensions it was filtered by, e.g.
+ * cacheKey('shops', { district: 'Asok' }) -> bkk_massage:shops:district=asok.
+ * Dimensions are sorted and empty ones dropped, so equal queries always map
+ * to the same key.
+ */
+export function cacheKey(dataset, dimensions = {}) {
+  const parts = Object.entries(dimensions)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${normalizeDimension(value)}`);
+  return [PREFIX, dataset, ...parts].join(':');
+}
+
+/**
+ * Tags a list of shops is stored under: its dataset, every shop and every
+ * district it contains. Invalidating any of them drops the list.
+ */
+export function shopTags(shops, district = null) {
+  const tags = new Set(['dataset:shops']);
+  if (district) tags.add(`district:${normalizeDimension(district)}`);
+  for (const shop of shops) {
+    if (shop.id) tags.add(`shop:${shop.id}`);
+    if (shop.district) tags.add(`district:${normalizeDimension(shop.district)}`);
+  }
+  return [...tags];
+}
+
+export function sameDistrict(a, b) {
+  return Boolean(a && b) && normalizeDimension(a) === normalizeDimension(b);
+}
+
+/**
+ * Regular expression for a Redis-style glob (`*` and `?`)
+ */
+export function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
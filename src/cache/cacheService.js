@@ -1,79 +1,321 @@
 import { RedisCache } from './redisCache.js';
-import { SQLiteCache } from './sqliteCache.js';
-import { loadCorpusFiles } from '../loaders/corpusLoader.js';
+import { cacheKey, shopTags, sameDistrict } from './cacheKeys.js';
+import { loadCacheConfig } from './cacheConfig.js';
+import { createCacheBackend } from './cacheBackends.js';
+import { RedisInvalidationBus, PollingInvalidationBus } from './invalidationBus.js';
+import { SQLiteCache, DB_PATH } from './sqliteCache.js';
+import {
+  checkCorpusChanges,
+  loadCorpusFiles,
+  onCorpusChange,
+  onCorpusLoad,
+  writeCorpusFile,
+} from '../loaders/corpusLoader.js';
 
+// Corpus file -> cached dataset built from it
+export const CORPUS_DATASETS = {
+  'shops_verified.ndjson': 'shops',
+  'district_profiles.json': 'districts',
+  'pricing_reference.json': 'pricing',
+};
+
+/**
+ * Shops, districts and pricing looked up through the configured cache
+ * backends (see cacheBackends.js), then the SQLite store, then the corpus.
+ * Only the cache backends are pluggable: SQLite is the system of record for
+ * shops, revisions, conflicts, corpus snapshots and match overrides, and is
+ * always opened (at SQLITE_PATH).
+ */
 export class CacheService {
   constructor() {
-    this.redis = process.env.REDIS_URL ? new RedisCache() : null;
+    const config = loadCacheConfig();
     this.sqlite = new SQLiteCache();
-  }
+    this.ttls = config.ttls;
 
-  async getShops(district = null) {
-    // Layer 1: Try Redis
-    if (this.redis) {
+    this.backends = [];
+    for (const spec of config.backends) {
       try {
-        const cached = await this.redis.getShops(district);
-        if (cached) {
-          console.log(`[cache] Redis hit for shops${district ? ` in ${district}` : ''}`);
-          return cached;
-        }
+        this.backends.push(createCacheBackend(spec, config));
       } catch (e) {
-        console.warn('[cache] Redis error, falling back:', e.message);
+        console.warn('[cache] Skipping cache backend:', e.message);
       }
     }
+    // The Redis backend, when there is one, also carries invalidation messages
+    this.redis = this.backends.find(backend => backend instanceof RedisCache) || null;
+
+    // tier -> lookup counts, for hit ratios
+    this.tierStats = {
+      ...Object.fromEntries(this.backends.map(backend => [backend.name, { hits: 0, misses: 0 }])),
+      store: { hits: 0, stale: 0, misses: 0 },
+      corpus: { hits: 0, misses: 0 },
+    };
+    // cache key -> in-flight load, so concurrent misses share one
+    this.inflight = new Map();
+    // Tells other instances about shop updates and corpus changes
+    this.bus = this.redis?.redis
+      ? new RedisInvalidationBus(this.redis.redis)
+      : new PollingInvalidationBus(this.sqlite, { intervalMs: pollIntervalMs(), dbPath: DB_PATH });
+
+    onCorpusChange((files) => {
+      this.invalidateCorpus(files).catch(e => console.error('[cache] Invalidation error:', e.message));
+    });
+    // Every corpus version read is kept, so edits can be diffed and rolled back
+    onCorpusLoad((version) => {
+      try {
+        this.sqlite.saveCorpusSnapshot(version);
+      } catch (e) {
+        console.warn('[cache] Failed to save corpus snapshot:', e.message);
+      }
+    });
+  }
+
+  /**
+   * Load shops, districts and pricing through every layer; returns counts
+   */
+  async warmCorpusCaches() {
+    return {
+      shops: (await this.getShops()).length,
+      districts: (await this.getDistrictProfiles()).length,
+      pricing: (await this.getPricingReference()).length,
+    };
+  }
+
+  /**
+   * Write new content for a corpus file to CORPUS_DIR, then invalidate the
+   * caches built from it and re-warm them
+   */
+  async writeCorpus(file, content) {
+    const reloaded = writeCorpusFile(file, content);
+    const invalidated = await this.invalidateCorpus([file]);
+    const warmed = await this.warmCorpusCaches();
+    return { file, hash: reloaded.hash, changed: reloaded.changed, invalidated, warmed };
+  }
+
+  /**
+   * Make a stored snapshot the active version of a corpus file
+   */
+  async rollbackCorpus(file, version) {
+    const snapshot = this.sqlite.getCorpusSnapshot(file, version);
+    if (!snapshot) return null;
 
-    // Layer 2: Try SQLite
+    const result = await this.writeCorpus(file, snapshot.content);
+    console.log(`[cache] Rolled ${file} back to ${snapshot.hash.slice(0, 12)}`);
+    return result;
+  }
+
+  /**
+   * Start applying invalidation messages published by other instances
+   */
+  async startInvalidationSync() {
     try {
-      const sqliteShops = this.sqlite.getShops(district);
-      if (sqliteShops && sqliteShops.length > 0) {
-        const lastUpdated = sqliteShops[0]?.last_updated;
-        if (lastUpdated && this.isRecent(lastUpdated, 3600)) { // 1 hour
-          console.log(`[cache] SQLite hit for shops${district ? ` in ${district}` : ''}`);
-          
-          // Warm Redis cache
-          if (this.redis) {
-            try {
-              await this.redis.setShops(sqliteShops, district);
-            } catch (e) {
-              // Ignore Redis warming errors
-            }
-          }
-          
-          return sqliteShops;
-        }
+      await this.bus.start(message => this.applyInvalidation(message));
+    } catch (e) {
+      console.warn('[cache] Could not start invalidation sync:', e.message);
+    }
+  }
+
+  async stopInvalidationSync() {
+    await this.bus.stop();
+  }
+
+  async publishInvalidation(message) {
+    try {
+      await this.bus.publish({ ...message, sent_at: new Date().toISOString() });
+    } catch (e) {
+      console.warn('[cache] Failed to publish invalidation:', e.message);
+    }
+  }
+
+  /**
+   * Handle another instance's message. Updated shops are written to this
+   * instance's SQLite and dropped from its own backends (shared ones, like
+   * Redis, were invalidated by the sender). Corpus changes make this instance
+   * re-check the files, which invalidates everything built from its copy if
+   * that changed too.
+   */
+  async applyInvalidation(message) {
+    try {
+      if (message.type === 'shops' && Array.isArray(message.shops)) {
+        this.sqlite.saveShops(message.shops);
+        await this.invalidateTags(shopTags(message.shops), { localOnly: true });
+        console.log(`[cache] Applied ${message.shops.length} shop updates from ${message.origin}`);
+      } else if (message.type === 'corpus' && Array.isArray(message.files)) {
+        // The shared backends were reloaded by the sender; don't keep serving
+        // what this instance cached from before
+        await this.invalidateTags(datasetTags(message.files), { localOnly: true });
+        checkCorpusChanges(message.files);
       }
     } catch (e) {
-      console.warn('[cache] SQLite error:', e.message);
+      console.error('[cache] Failed to apply invalidation:', e.message);
     }
+  }
+
+  /**
+   * Drop the backend entries and SQLite rows built from the given corpus
+   * files so the next read reloads them. Returns the datasets invalidated.
+   */
+  async invalidateCorpus(files) {
+    const datasets = [...new Set(files.map(file => CORPUS_DATASETS[file]).filter(Boolean))];
 
-    // Layer 3: Load from corpus
+    for (const dataset of datasets) {
+      try {
+        await this.invalidateTags([`dataset:${dataset}`]);
+        if (dataset === 'shops') {
+          // Shop rows also hold merge results and history, so they are only
+          // marked stale rather than deleted
+          this.sqlite.markInvalidated('shops');
+        } else if (dataset === 'districts') {
+          this.sqlite.clearDistrictProfiles();
+        } else if (dataset === 'pricing') {
+          this.sqlite.clearPricingReference();
+        }
+        console.log(`[cache] Invalidated ${dataset} after corpus change`);
+      } catch (e) {
+        console.error(`[cache] Failed to invalidate ${dataset}:`, e.message);
+      }
+    }
+    await this.publishInvalidation({ type: 'corpus', files });
+    return datasets;
+  }
+
+  async getShops(district = null) {
+    return this.readThrough('shops', cacheKey('shops', { district }), {
+      label: `shops${district ? ` in ${district}` : ''}`,
+      tags: (shops) => shopTags(shops, district),
+      fromSQLite: () => this.sqlite.getShops(district),
+      invalidated: (loadedAt) => this.shopsInvalidated(loadedAt),
+      load: () => this.loadShopsFromCorpus(district),
+    });
+  }
+
+  /**
+   * Read the shops corpus into the SQLite store. A district request returns
+   * just that district's shops, and the full list is cached as well. Null
+   * when the corpus is empty or unavailable.
+   */
+  async loadShopsFromCorpus(district = null) {
     console.log(`[cache] Cache miss, loading from corpus`);
+    const corpusShops = this.corpusShopRecords();
+    if (corpusShops.length === 0) return null;
+
     try {
-      const corpusShops = loadCorpusFiles('shops_verified.ndjson');
-      
-      if (corpusShops && corpusShops.length > 0) {
-        // Warm both caches
-        try {
-          this.sqlite.saveShops(corpusShops);
-        } catch (e) {
-          console.warn('[cache] Failed to save to SQLite:', e.message);
-        }
-        
-        if (this.redis) {
-          try {
-            await this.redis.setShops(corpusShops, district);
-          } catch (e) {
-            console.warn('[cache] Failed to save to Redis:', e.message);
-          }
-        }
-        
-        return corpusShops;
+      const removed = this.sqlite.replaceCorpusShops(corpusShops);
+      this.sqlite.markLoaded('shops');
+      if (removed.length > 0) {
+        console.log(`[cache] Removed ${removed.length} shops no longer in the corpus`);
       }
     } catch (e) {
-      console.warn('[cache] Corpus load error:', e.message);
+      console.warn('[cache] Failed to save to SQLite:', e.message);
     }
 
-    return [];
+    if (district) {
+      await this.writeBackends(this.backends, cacheKey('shops'), corpusShops, this.ttls.shops.ttl, shopTags(corpusShops));
+    }
+
+    return district ? corpusShops.filter(shop => sameDistrict(shop.district, district)) : corpusShops;
+  }
+
+  /**
+   * Shops as the corpus records them, never merge results, for matching
+   * live shops against. Empty when the corpus is unavailable.
+   */
+  getCorpusShops(district = null) {
+    const shops = this.corpusShopRecords();
+    return district ? shops.filter(shop => sameDistrict(shop.district, district)) : shops;
+  }
+
+  corpusShopRecords() {
+    const records = loadCorpusFiles('shops_verified.ndjson') || [];
+    // Validation drops bad records, but one without a name must never take
+    // the whole load down (its id is derived from the name)
+    const shops = records.filter(shop => shop && typeof shop.name === 'string' && shop.name.trim());
+    if (shops.length < records.length) {
+      console.warn(`[cache] Skipped ${records.length - shops.length} corpus shops without a name`);
+    }
+    return shops.map(shop => ({ ...shop, id: shop.id || this.sqlite.generateId(shop.name) }));
+  }
+
+  async getShopById(id) {
+    await this.ensureSQLiteShops();
+    return this.sqlite.getShopById(id);
+  }
+
+  async searchShops(text) {
+    await this.ensureSQLiteShops();
+    return this.sqlite.searchShops(text);
+  }
+
+  /**
+   * Shops as they were at a point in time, from SQLite revision history
+   */
+  async getShopsAsOf(asOf, district = null) {
+    return this.sqlite.getShopsAsOf(asOf, district);
+  }
+
+  async getShopHistory(shopId, options) {
+    return this.sqlite.getShopHistory(shopId, options);
+  }
+
+  /**
+   * Shops near a point, served from the SQLite spatial index
+   */
+  async getShopsNearby(lat, lng, radiusMeters, limit) {
+    await this.ensureSQLiteShops();
+    return this.sqlite.getShopsNearby(lat, lng, radiusMeters, limit);
+  }
+
+  async getShopsInBox(box, limit = 100) {
+    await this.ensureSQLiteShops();
+    const origin = {
+      lat: (box.minLat + box.maxLat) / 2,
+      lng: (box.minLng + box.maxLng) / 2,
+    };
+    return this.sqlite.getShopsInBox(box, origin).slice(0, limit);
+  }
+
+  // Records that only the SQLite store holds; the cache backends never see them
+
+  async getConflicts(filters) {
+    return this.sqlite.getConflicts(filters);
+  }
+
+  async listCorpusSnapshots(file) {
+    return this.sqlite.listCorpusSnapshots(file);
+  }
+
+  async getCorpusSnapshot(file, version) {
+    return this.sqlite.getCorpusSnapshot(file, version);
+  }
+
+  async listMatchOverrides() {
+    return this.sqlite.listMatchOverrides();
+  }
+
+  async saveMatchOverride(override) {
+    return this.sqlite.saveMatchOverride(override);
+  }
+
+  async deleteMatchOverride(id) {
+    return this.sqlite.deleteMatchOverride(id);
+  }
+
+  async listMatchReviews(status) {
+    return this.sqlite.listMatchReviews(status);
+  }
+
+  async listCorpusProposals(filters) {
+    return this.sqlite.listCorpusProposals(filters);
+  }
+
+  async ensureSQLiteShops() {
+    try {
+      const loadedAt = this.sqlite.getLoadedAt('shops') || this.sqlite.oldestShopUpdate();
+      if (this.sqlite.countShops() > 0 && !this.shopsInvalidated(loadedAt)) return;
+    } catch (e) {
+      console.warn('[cache] SQLite count error:', e.message);
+    }
+    // A full getShops() miss loads the corpus and warms SQLite
+    await this.getShops();
   }
 
   async updateShops(shops) {
@@ -84,102 +326,246 @@ export class CacheService {
       console.error('[cache] Failed to update SQLite:', e.message);
     }
     
+    // Cached lists holding any of these shops, or covering their districts,
+    // are dropped rather than overwritten with a partial list
+    await this.invalidateTags(shopTags(shops));
     if (this.redis) {
       try {
-        await this.redis.setShops(shops);
         await this.redis.setLastUpdated(new Date().toISOString());
       } catch (e) {
         console.error('[cache] Failed to update Redis:', e.message);
       }
     }
+
+    await this.publishInvalidation({ type: 'shops', shops });
   }
 
-  async getDistrictProfiles() {
-    if (this.redis) {
+  /**
+   * Per-tier lookup counts and hit ratios, and each backend's keys
+   * (optionally matching a glob pattern) with TTLs, sizes and tags
+   */
+  async inspectCache(pattern) {
+    const backends = [];
+    for (const backend of this.backends) {
       try {
-        const cached = await this.redis.getDistrictProfiles();
-        if (cached) return cached;
+        backends.push({ name: backend.name, shared: backend.shared, ...(await backend.inspect(pattern)) });
       } catch (e) {
-        // Fall through
+        backends.push({ name: backend.name, shared: backend.shared, error: e.message });
       }
     }
+    return { tiers: this.tierMetrics(), backends };
+  }
 
-    try {
-      const sqlite = this.sqlite.getDistrictProfiles();
-      if (sqlite && sqlite.length > 0) {
-        if (this.redis) {
-          try {
-            await this.redis.setDistrictProfiles(sqlite);
-          } catch (e) {
-            // Ignore
-          }
-        }
-        return sqlite;
+  tierMetrics() {
+    const metrics = {};
+    for (const [tier, counts] of Object.entries(this.tierStats)) {
+      const lookups = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      metrics[tier] = {
+        ...counts,
+        hit_ratio: lookups > 0 ? Math.round(((counts.hits + (counts.stale || 0)) / lookups) * 1000) / 1000 : null,
+      };
+    }
+    return metrics;
+  }
+
+  /**
+   * Drop backend entries stored under any of the tags (`localOnly` skips
+   * shared backends); returns the count dropped per backend
+   */
+  async invalidateTags(tags, { localOnly = false } = {}) {
+    const deleted = {};
+    for (const backend of this.backends) {
+      if (localOnly && backend.shared) continue;
+      try {
+        deleted[backend.name] = await backend.invalidateTags(tags);
+      } catch (e) {
+        console.error(`[cache] Failed to invalidate ${backend.name}:`, e.message);
+        deleted[backend.name] = 0;
       }
-    } catch (e) {
-      console.warn('[cache] SQLite districts error:', e.message);
     }
+    return deleted;
+  }
 
-    // Load from corpus
-    try {
-      const profiles = loadCorpusFiles('district_profiles.json');
-      if (profiles) {
-        // Convert NDJSON to array if needed
-        return Array.isArray(profiles) ? profiles : [profiles];
+  async writeBackends(backends, key, value, ttl, tags) {
+    for (const backend of backends) {
+      try {
+        await backend.set(key, value, ttl, tags);
+      } catch (e) {
+        console.warn(`[cache] Failed to write ${key} to ${backend.name}:`, e.message);
       }
-    } catch (e) {
-      console.warn('[cache] Corpus districts error:', e.message);
     }
+  }
 
-    return [];
+  async getDistrictProfiles() {
+    return this.readThrough('districts', cacheKey('districts'), {
+      label: 'district profiles',
+      tags: () => ['dataset:districts'],
+      fromSQLite: () => this.sqlite.getDistrictProfiles(),
+      load: async () => {
+        const loaded = loadCorpusFiles('district_profiles.json');
+        const profiles = (Array.isArray(loaded) ? loaded : loaded ? [loaded] : []).filter(p => p && p.name);
+        if (profiles.length === 0) return null;
+
+        console.log(`[cache] Loaded ${profiles.length} district profiles from corpus`);
+        this.sqlite.saveDistrictProfiles(profiles);
+        this.sqlite.markLoaded('districts');
+        return profiles;
+      },
+    });
   }
 
   async getPricingReference() {
-    if (this.redis) {
+    return this.readThrough('pricing', cacheKey('pricing'), {
+      label: 'pricing reference',
+      tags: () => ['dataset:pricing'],
+      fromSQLite: () => this.sqlite.getPricingReference(),
+      load: async () => {
+        const loaded = loadCorpusFiles('pricing_reference.json');
+        const pricing = (Array.isArray(loaded) ? loaded : loaded ? [loaded] : [])
+          .filter(p => p && p.district && p.massage_type);
+        if (pricing.length === 0) return null;
+
+        console.log(`[cache] Loaded ${pricing.length} pricing tiers from corpus`);
+        this.sqlite.savePricingReference(pricing);
+        this.sqlite.markLoaded('pricing');
+        return pricing;
+      },
+    });
+  }
+
+  /**
+   * Look a dataset up through the backends, fastest first, then the SQLite
+   * store, then the corpus. A backend hit fills the backends in front of it;
+   * anything read further down fills all of them.
+   *
+   * SQLite rows are as old as the dataset's last load from the corpus (merge
+   * writes to single rows don't make the rest fresh). Within the dataset's
+   * TTL they are a hit. Past the TTL but within the stale window they are
+   * served as they are while `load` refreshes them in the background. Rows
+   * older than that, or invalidated by a corpus change, are only served when
+   * `load` comes back empty.
+   * Concurrent loads of the same key share one `load` call.
+   */
+  async readThrough(dataset, key, { label, tags, fromSQLite, invalidated = () => false, load }) {
+    const { ttl, stale } = this.ttls[dataset];
+    const loadAndStore = async () => {
+      const loaded = await load();
+      if (loaded && loaded.length > 0) await this.writeBackends(this.backends, key, loaded, ttl, tags(loaded));
+      return loaded;
+    };
+
+    // Layers 1..n: cache backends
+    for (const [index, backend] of this.backends.entries()) {
       try {
-        const cached = await this.redis.getPricingReference();
-        if (cached) return cached;
+        const cached = await backend.get(key);
+        this.recordTier(backend.name, cached ? 'hits' : 'misses');
+        if (cached) {
+          if (index > 0) console.log(`[cache] ${backend.name} hit for ${label}`);
+          await this.writeBackends(this.backends.slice(0, index), key, cached, ttl, tags(cached));
+          return cached;
+        }
       } catch (e) {
-        // Fall through
+        console.warn(`[cache] ${backend.name} error, falling back:`, e.message);
       }
     }
 
+    // SQLite store
+    let fallback = [];
     try {
-      const sqlite = this.sqlite.getPricingReference();
-      if (sqlite && sqlite.length > 0) {
-        if (this.redis) {
-          try {
-            await this.redis.setPricingReference(sqlite);
-          } catch (e) {
-            // Ignore
-          }
+      const rows = fromSQLite();
+      if (rows && rows.length > 0) {
+        const loadedAt = this.sqlite.getLoadedAt(dataset) || oldestUpdatedAt(rows);
+        const age = ageSeconds(loadedAt);
+        if (invalidated(loadedAt) || age >= ttl + stale) {
+          fallback = rows;
+        } else if (age < ttl) {
+          console.log(`[cache] SQLite hit for ${label}`);
+          this.recordTier('store', 'hits');
+          await this.writeBackends(this.backends, key, rows, ttl, tags(rows));
+          return rows;
+        } else {
+          console.log(`[cache] Serving stale ${label} (${Math.round(age)}s old), refreshing`);
+          this.recordTier('store', 'stale');
+          this.revalidate(key, loadAndStore);
+          return rows;
         }
-        return sqlite;
       }
     } catch (e) {
-      console.warn('[cache] SQLite pricing error:', e.message);
+      console.warn(`[cache] SQLite ${dataset} error:`, e.message);
     }
+    this.recordTier('store', 'misses');
 
-    // Load from corpus
+    // Corpus
     try {
-      const pricing = loadCorpusFiles('pricing_reference.json');
-      if (pricing) {
-        return Array.isArray(pricing) ? pricing : [pricing];
-      }
+      const loaded = await this.singleFlight(key, loadAndStore);
+      this.recordTier('corpus', loaded && loaded.length > 0 ? 'hits' : 'misses');
+      if (loaded && loaded.length > 0) return loaded;
     } catch (e) {
-      console.warn('[cache] Corpus pricing error:', e.message);
+      this.recordTier('corpus', 'misses');
+      console.warn(`[cache] Corpus ${dataset} error:`, e.message);
+    }
+
+    // Corpus unavailable (or refused in strict mode): stale SQLite beats nothing
+    if (fallback.length > 0) {
+      console.warn(`[cache] Corpus unavailable, serving ${fallback.length} stale SQLite ${label}`);
+      return fallback;
     }
 
     return [];
   }
 
-  isRecent(timestamp, maxAgeSeconds = 3600) {
-    try {
-      const age = (Date.now() - new Date(timestamp).getTime()) / 1000;
-      return age < maxAgeSeconds;
-    } catch (e) {
-      return false;
+  recordTier(tier, outcome) {
+    this.tierStats[tier][outcome]++;
+  }
+
+  /**
+   * Run `load` for a key unless a load for it is already running, in which
+   * case the caller shares its result
+   */
+  singleFlight(key, load) {
+    if (!this.inflight.has(key)) {
+      const promise = Promise.resolve()
+        .then(load)
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, promise);
     }
+    return this.inflight.get(key);
+  }
+
+  /**
+   * Refresh a key in the background
+   */
+  revalidate(key, load) {
+    this.singleFlight(key, load).catch(e => console.warn(`[cache] Background refresh of ${key} failed:`, e.message));
   }
+
+  /**
+   * Whether SQLite shop rows written at `lastUpdated` predate a corpus change
+   */
+  shopsInvalidated(loadedAt) {
+    const invalidatedAt = this.sqlite.getInvalidatedAt('shops');
+    return Boolean(invalidatedAt && loadedAt && loadedAt <= invalidatedAt);
+  }
+}
+
+// Tags of the datasets built from the given corpus files
+function datasetTags(files) {
+  return [...new Set(files.map(file => CORPUS_DATASETS[file]).filter(Boolean))].map(dataset => `dataset:${dataset}`);
+}
+
+// Oldest `last_updated` among cached rows, so a single recent write does not
+// make the whole dataset look fresh. Used as the age of databases written
+// before load times were recorded.
+function oldestUpdatedAt(rows) {
+  return rows.reduce((oldest, row) => (row.last_updated && (!oldest || row.last_updated < oldest) ? row.last_updated : oldest), null);
+}
+
+function ageSeconds(timestamp) {
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  return Number.isNaN(time) ? Infinity : (Date.now() - time) / 1000;
 }
 
+function pollIntervalMs() {
+  const value = Number(process.env.CACHE_POLL_INTERVAL_MS);
+  return Number.isInteger(value) && value > 0 ? value : 30000;
+}
@@ -0,0 +1,101 @@
+import { readFileSync, writeFileSync, renameSync, readdirSync, unlinkSync, existsSync, mkdirSync } from 'fs';
+import crypto from 'crypto';
+import { join } from 'path';
+import { globToRegExp } from './cacheKeys.js';
+
+/**
+ * The `file` cache backend: one JSON file per key in `dir`, holding
+ * { key, value, tags, expires_at }. Writes go through a temp file and a
+ * rename, so a reader never sees half an entry. Tag invalidation reads every
+ * entry, which is fine for the few dozen keys this service caches.
+ */
+export class FileCache {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.shared = false;
+    this.dir = dir;
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  }
+
+  get(key) {
+    const entry = this.read(this.pathFor(key));
+    if (!entry || entry.key !== key) return null;
+    if (entry.expires_at <= Date.now()) {
+      this.remove(this.pathFor(key));
+      return null;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds, tags = []) {
+    const path = this.pathFor(key);
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ key, value, tags, expires_at: Date.now() + ttlSeconds * 1000 }));
+    renameSync(tmp, path);
+  }
+
+  invalidateTags(tags) {
+    const wanted = new Set(tags);
+    let deleted = 0;
+    for (const { path, entry } of this.entries()) {
+      if (entry.tags.some(tag => wanted.has(tag)) && this.remove(path)) deleted++;
+    }
+    return deleted;
+  }
+
+  inspect(pattern = '*') {
+    const now = Date.now();
+    const matcher = globToRegExp(pattern);
+    const keys = [];
+    for (const { path, entry } of this.entries()) {
+      if (entry.expires_at <= now) {
+        this.remove(path);
+        continue;
+      }
+      if (!matcher.test(entry.key)) continue;
+      keys.push({
+        key: entry.key,
+        ttl_s: Math.round((entry.expires_at - now) / 1000),
+        bytes: JSON.stringify(entry.value).length,
+        tags: entry.tags,
+      });
+    }
+    keys.sort((a, b) => a.key.localeCompare(b.key));
+    return { keys, totals: { keys: keys.length, dir: this.dir } };
+  }
+
+  ping() {
+    return existsSync(this.dir);
+  }
+
+  *entries() {
+    for (const name of readdirSync(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const path = join(this.dir, name);
+      const entry = this.read(path);
+      if (entry) yield { path, entry };
+    }
+  }
+
+  pathFor(key) {
+    return join(this.dir, `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+  }
+
+  read(path) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[cache] Unreadable cache file ${path}:`, e.message);
+      return null;
+    }
+  }
+
+  remove(path) {
+    try {
+      unlinkSync(path);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+}
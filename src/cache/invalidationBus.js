@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { hostname } from 'os';
+import { checkCorpusChanges, corpusFileInfo } from '../loaders/corpusLoader.js';
+import { DEFAULT_SQLITE_PATH } from './cacheConfig.js';
+
+export const INVALIDATION_CHANNEL = 'bkk_massage:invalidate';
+
+// Identifies this process in published messages, so it ignores its own
+export const INSTANCE_ID = `${hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Invalidation messages shared over a Redis channel. Subscribing needs a
+ * connection of its own, so one is duplicated from the cache's.
+ */
+export class RedisInvalidationBus {
+  constructor(redis) {
+    this.mode = 'pubsub';
+    this.redis = redis;
+    this.subscriber = null;
+  }
+
+  async start(handler) {
+    if (this.subscriber) return;
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('message', (channel, raw) => {
+      if (channel !== INVALIDATION_CHANNEL) return;
+      try {
+        const message = JSON.parse(raw);
+        if (message.origin !== INSTANCE_ID) handler(message);
+      } catch (e) {
+        console.warn('[cache] Ignoring malformed invalidation message:', e.message);
+      }
+    });
+    await this.subscriber.subscribe(INVALIDATION_CHANNEL);
+    console.log(`[cache] Subscribed to ${INVALIDATION_CHANNEL}`);
+  }
+
+  async publish(message) {
+    await this.redis.publish(INVALIDATION_CHANNEL, JSON.stringify({ ...message, origin: INSTANCE_ID }));
+  }
+
+  async stop() {
+    if (!this.subscriber) return;
+    await this.subscriber.quit().catch(() => {});
+    this.subscriber = null;
+  }
+}
+
+/**
+ * Fallback when Redis isn't configured: every interval the corpus files are
+ * re-checked (for shared volumes where file events don't arrive) and the
+ * SQLite invalidation log is read for messages from instances sharing the
+ * database file (`dbPath`).
+ */
+export class PollingInvalidationBus {
+  constructor(sqlite, { intervalMs = 30000, dbPath = DEFAULT_SQLITE_PATH } = {}) {
+    this.mode = 'polling';
+    this.sqlite = sqlite;
+    this.intervalMs = intervalMs;
+    this.dbPath = dbPath;
+    this.timer = null;
+    this.lastSeen = 0;
+  }
+
+  async start(handler) {
+    if (this.timer) return;
+    this.lastSeen = this.sqlite.latestInvalidationId();
+    this.timer = setInterval(() => this.poll(handler), this.intervalMs);
+    this.timer.unref?.();
+    console.log(`[cache] Polling for invalidations every ${this.intervalMs}ms`);
+    // The default path is inside each instance's own checkout or container
+    if (this.dbPath === ':memory:' || this.dbPath === DEFAULT_SQLITE_PATH) {
+      console.warn(
+        `[cache] The invalidation log is in a database only this instance uses (${this.dbPath}), ` +
+        'so shop updates won\'t reach other instances. Set REDIS_URL, or point SQLITE_PATH at a shared file.'
+      );
+    }
+  }
+
+  poll(handler) {
+    try {
+      // Only files this instance has read can have stale caches
+      checkCorpusChanges(corpusFileInfo().map(info => info.file));
+      for (const row of this.sqlite.invalidationsSince(this.lastSeen, INSTANCE_ID)) {
+        this.lastSeen = row.id;
+        handler(row.message);
+      }
+    } catch (e) {
+      console.warn('[cache] Invalidation poll failed:', e.message);
+    }
+  }
+
+  async publish(message) {
+    this.sqlite.appendInvalidation(INSTANCE_ID, { ...message, origin: INSTANCE_ID });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
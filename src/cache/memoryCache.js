@@ -0,0 +1,105 @@
+import { globToRegExp } from './cacheKeys.js';
+
+/**
+ * Bounded in-process LRU cache (the `memory` cache backend). Entries expire
+ * after their TTL, capped at `ttl` seconds, and the least recently used ones
+ * are evicted once either the entry count or the approximate size (JSON
+ * length of the values) passes its limit. Values are returned as stored, not
+ * copied; treat them as read-only.
+ */
+export class MemoryCache {
+  constructor({ maxEntries = 500, maxBytes = 64 * 1024 * 1024, ttl = 300 } = {}) {
+    this.name = 'memory';
+    this.shared = false;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlCap = ttl;
+    // key -> { value, bytes, expiresAt, tags }; Map order is recency order
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds, tags = []) {
+    const bytes = JSON.stringify(value)?.length || 0;
+    this.delete(key);
+    if (ttlSeconds <= 0 || this.ttlCap <= 0 || this.maxEntries === 0 || bytes > this.maxBytes) return;
+
+    const ttl = Math.min(ttlSeconds, this.ttlCap);
+    this.entries.set(key, { value, bytes, expiresAt: Date.now() + ttl * 1000, tags });
+    this.bytes += bytes;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  /**
+   * Drop every entry carrying any of the tags; returns how many were dropped
+   */
+  invalidateTags(tags) {
+    const wanted = new Set(tags);
+    let deleted = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.some(tag => wanted.has(tag)) && this.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Entries, least recently used first, with remaining TTLs and sizes
+   */
+  inspect(pattern = '*') {
+    const now = Date.now();
+    const matcher = globToRegExp(pattern);
+    const keys = [...this.entries].filter(([key]) => matcher.test(key)).map(([key, entry]) => ({
+      key,
+      ttl_s: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+      bytes: entry.bytes,
+      tags: entry.tags,
+    }));
+    return {
+      keys,
+      totals: {
+        keys: this.entries.size,
+        bytes: this.bytes,
+        max_entries: this.maxEntries,
+        max_bytes: this.maxBytes,
+        ttl_cap_s: this.ttlCap,
+        evictions: this.evictions,
+      },
+    };
+  }
+
+  ping() {
+    return true;
+  }
+}
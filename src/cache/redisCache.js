@@ -1,10 +1,14 @@
 import Redis from 'ioredis';
+import { PREFIX, globToRegExp } from './cacheKeys.js';
 
-let redis = null;
+// url -> connection, shared by every RedisCache for that server
+const connections = new Map();
 
-function getRedis() {
-  if (!redis && process.env.REDIS_URL) {
-    redis = new Redis(process.env.REDIS_URL, {
+function getRedis(url) {
+  if (!url) return null;
+  let redis = connections.get(url);
+  if (!redis) {
+    redis = new Redis(url, {
       retryStrategy: (times) => {
         const delay = Math.min(times * 50, 2000);
         return delay;
@@ -19,22 +23,30 @@ function getRedis() {
     redis.on('connect', () => {
       console.log('[redis] Connected');
     });
+    connections.set(url, redis);
   }
   return redis;
 }
 
+const TAG_PREFIX = `${PREFIX}:tag:`;
+// Tag sets outlive the keys they list, so invalidation can always find them
+const TAG_TTL = 2 * 86400;
+
 const CACHE_KEYS = {
-  shops: 'bkk_massage:shops',
-  shopsByDistrict: (district) => `bkk_massage:shops:district:${district}`,
-  shopsByRating: 'bkk_massage:shops:rating:sorted',
-  districtProfiles: 'bkk_massage:districts',
-  pricingReference: 'bkk_massage:pricing',
-  lastUpdated: 'bkk_massage:last_updated',
+  lastUpdated: `${PREFIX}:last_updated`,
 };
 
+/**
+ * The `redis` cache backend. Redis is shared by every instance, so the
+ * instance that changes data invalidates it for all of them.
+ */
 export class RedisCache {
-  constructor() {
-    this.redis = getRedis();
+  constructor(url = process.env.REDIS_URL) {
+    this.name = 'redis';
+    this.shared = true;
+    this.redis = getRedis(url);
+    // key -> { hits, misses } since this process started
+    this.stats = new Map();
   }
 
   async ping() {
@@ -47,68 +59,115 @@ export class RedisCache {
     }
   }
 
-  async getShops(district = null) {
+  /**
+   * Read a JSON value, counting the hit or miss against its key
+   */
+  async get(key) {
     if (!this.redis) return null;
-    try {
-      const key = district ? CACHE_KEYS.shopsByDistrict(district) : CACHE_KEYS.shops;
-      const cached = await this.redis.get(key);
-      return cached ? JSON.parse(cached) : null;
-    } catch (e) {
-      console.error('[redis] Get shops error:', e.message);
-      return null;
-    }
+    const cached = await this.redis.get(key);
+    this.recordLookup(key, cached !== null);
+    return cached !== null ? JSON.parse(cached) : null;
   }
 
-  async setShops(shops, district = null, ttl = 3600) {
+  /**
+   * Store a JSON value and add its key to each tag's set
+   */
+  async set(key, value, ttl, tags = []) {
     if (!this.redis) return;
-    try {
-      const key = district ? CACHE_KEYS.shopsByDistrict(district) : CACHE_KEYS.shops;
-      await this.redis.setex(key, ttl, JSON.stringify(shops));
-      
-      // Also update sorted by rating
-      const sorted = [...shops].sort((a, b) => (b.rating || 0) - (a.rating || 0));
-      await this.redis.setex(CACHE_KEYS.shopsByRating, ttl, JSON.stringify(sorted));
-    } catch (e) {
-      console.error('[redis] Set shops error:', e.message);
+    const pipeline = this.redis.multi().setex(key, ttl, JSON.stringify(value));
+    for (const tag of tags) {
+      pipeline.sadd(TAG_PREFIX + tag, key).expire(TAG_PREFIX + tag, Math.max(ttl, TAG_TTL));
     }
+    await pipeline.exec();
   }
 
-  async getDistrictProfiles() {
-    if (!this.redis) return null;
+  /**
+   * Delete every key stored under any of the tags; returns the number of
+   * cached values removed
+   */
+  async invalidateTags(tags) {
+    if (!this.redis || tags.length === 0) return 0;
     try {
-      const cached = await this.redis.get(CACHE_KEYS.districtProfiles);
-      return cached ? JSON.parse(cached) : null;
+      const tagKeys = tags.map(tag => TAG_PREFIX + tag);
+      const members = await Promise.all(tagKeys.map(tagKey => this.redis.smembers(tagKey)));
+      const keys = [...new Set(members.flat())];
+      const deleted = keys.length > 0 ? await this.redis.del(...keys) : 0;
+      await this.redis.del(...tagKeys);
+      return deleted;
     } catch (e) {
-      return null;
+      console.error('[redis] Invalidate tags error:', e.message);
+      return 0;
     }
   }
 
-  async setDistrictProfiles(profiles, ttl = 86400) {
-    if (!this.redis) return;
-    try {
-      await this.redis.setex(CACHE_KEYS.districtProfiles, ttl, JSON.stringify(profiles));
-    } catch (e) {
-      console.error('[redis] Set districts error:', e.message);
-    }
+  recordLookup(key, hit) {
+    const stats = this.stats.get(key) || { hits: 0, misses: 0 };
+    if (hit) stats.hits++;
+    else stats.misses++;
+    this.stats.set(key, stats);
   }
 
-  async getPricingReference() {
+  /**
+   * Cached keys (tag sets excluded) with their TTLs, sizes, tags and this
+   * process's hit/miss counts; keys that were looked up but aren't cached
+   * are listed too, with `cached: false`
+   */
+  async inspect(pattern = `${PREFIX}:*`) {
     if (!this.redis) return null;
-    try {
-      const cached = await this.redis.get(CACHE_KEYS.pricingReference);
-      return cached ? JSON.parse(cached) : null;
-    } catch (e) {
-      return null;
+
+    const keys = new Set();
+    const tagKeys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = next;
+      for (const key of batch) {
+        if (key.startsWith(TAG_PREFIX)) tagKeys.push(key);
+        else keys.add(key);
+      }
+    } while (cursor !== '0');
+
+    const tagsByKey = new Map();
+    const tags = [];
+    for (const tagKey of tagKeys.sort()) {
+      const members = await this.redis.smembers(tagKey);
+      const tag = tagKey.slice(TAG_PREFIX.length);
+      // Sets can still list keys dropped through another tag; count live ones
+      tags.push({ tag, keys: members.filter(key => keys.has(key)).length });
+      for (const key of members) {
+        if (!tagsByKey.has(key)) tagsByKey.set(key, []);
+        tagsByKey.get(key).push(tag);
+      }
     }
-  }
 
-  async setPricingReference(pricing, ttl = 86400) {
-    if (!this.redis) return;
-    try {
-      await this.redis.setex(CACHE_KEYS.pricingReference, ttl, JSON.stringify(pricing));
-    } catch (e) {
-      console.error('[redis] Set pricing error:', e.message);
+    const entries = [];
+    const matcher = globToRegExp(pattern);
+    const looked = [...this.stats.keys()].filter(key => matcher.test(key));
+    for (const key of [...new Set([...keys, ...looked])].sort()) {
+      const cached = keys.has(key);
+      const stats = this.stats.get(key) || { hits: 0, misses: 0 };
+      entries.push({
+        key,
+        cached,
+        ttl_s: cached ? await this.redis.ttl(key) : null,
+        bytes: cached ? await this.redis.strlen(key).catch(() => null) : null,
+        tags: tagsByKey.get(key) || [],
+        ...stats,
+      });
     }
+
+    const hits = entries.reduce((sum, entry) => sum + entry.hits, 0);
+    const misses = entries.reduce((sum, entry) => sum + entry.misses, 0);
+    return {
+      keys: entries,
+      tags,
+      totals: {
+        keys: keys.size,
+        hits,
+        misses,
+        hit_ratio: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+      },
+    };
   }
 
   async getLastUpdated() {
@@ -129,4 +188,3 @@ export class RedisCache {
     }
   }
 }
-
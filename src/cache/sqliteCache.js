@@ -1,16 +1,19 @@
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname } from 'path';
 import { existsSync, mkdirSync } from 'fs';
+import crypto from 'crypto';
+import { haversineMeters, boundingBox } from '../services/geo.js';
+import { diffRecords } from '../services/corpusDiff.js';
+import { loadCacheConfig } from './cacheConfig.js';
+import { sameDistrict } from './cacheKeys.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const DB_DIR = join(__dirname, '../../db');
-const DB_PATH = join(DB_DIR, 'cache.sqlite');
+// SQLITE_PATH (or `sqlite.path` in CACHE_CONFIG); ':memory:' for a database
+// that lives only as long as the process
+export const DB_PATH = loadCacheConfig().sqlite.path;
 
 // Ensure db directory exists
-if (!existsSync(DB_DIR)) {
-  mkdirSync(DB_DIR, { recursive: true });
+if (DB_PATH !== ':memory:' && !existsSync(dirname(DB_PATH))) {
+  mkdirSync(dirname(DB_PATH), { recursive: true });
 }
 
 const db = new Database(DB_PATH);
@@ -56,6 +59,215 @@ db.exec(`
   );
 `);
 
+// Columns added after the initial schema; existing cache files are migrated in place
+const addedShopColumns = ensureColumns('shops', {
+  lat: 'REAL',
+  lng: 'REAL',
+  // Full merged record; the typed columns above only cover indexed fields
+  data: 'TEXT',
+  // The corpus record the shop was loaded from; null for live-only shops
+  corpus_record: 'TEXT',
+});
+if (addedShopColumns.includes('corpus_record')) {
+  // Rows no merge has touched are exactly their corpus record
+  db.exec(`UPDATE shops SET corpus_record = data WHERE data_sources NOT LIKE '%google_maps%'`);
+}
+
+// Content-addressed versions of each corpus file the loader has read
+db.exec(`
+  CREATE TABLE IF NOT EXISTS corpus_snapshots (
+    file TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    format TEXT,
+    size INTEGER,
+    record_count INTEGER,
+    content TEXT NOT NULL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    PRIMARY KEY (file, hash)
+  );
+`);
+
+// Shop additions and edits submitted through the API, applied to the corpus
+// only once an admin approves them
+db.exec(`
+  CREATE TABLE IF NOT EXISTS corpus_proposals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update')),
+    shop_id TEXT NOT NULL,
+    shop_name TEXT,
+    record TEXT NOT NULL,
+    changes TEXT,
+    base TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    review_note TEXT,
+    corpus_hash TEXT,
+    created_at TEXT NOT NULL,
+    reviewed_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_corpus_proposals_status ON corpus_proposals(status);
+`);
+
+// Invalidation messages for instances polling a shared database instead of
+// using Redis pub/sub
+db.exec(`
+  CREATE TABLE IF NOT EXISTS cache_invalidations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    origin TEXT NOT NULL,
+    message TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+`);
+
+// Key/value entries for the `sqlite` cache backend
+db.exec(`
+  CREATE TABLE IF NOT EXISTS cache_entries (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    tags TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_cache_entries_expires ON cache_entries(expires_at);
+`);
+
+// Per-dataset bookkeeping, e.g. when a corpus change invalidated cached rows
+db.exec(`
+  CREATE TABLE IF NOT EXISTS cache_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`);
+
+ensureColumns('pricing_reference', {
+  notes: 'TEXT',
+  last_updated: 'TEXT',
+});
+
+// Spatial index over shop coordinates, keyed by shops.rowid
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS shops_rtree USING rtree(
+    id,
+    min_lat, max_lat,
+    min_lng, max_lng
+  );
+`);
+
+// Full-text search over shop name, address and notes
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS shops_fts USING fts5(
+    id UNINDEXED,
+    name,
+    address,
+    notes,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+`);
+
+// Cache files written before the FTS table existed get it backfilled once
+if (db.prepare('SELECT COUNT(*) AS count FROM shops_fts').get().count === 0) {
+  db.exec(`
+    INSERT INTO shops_fts (id, name, address, notes)
+    SELECT id, name, address, json_extract(data, '$.notes') FROM shops
+  `);
+}
+
+// Manual live<->corpus match decisions and merges awaiting review
+db.exec(`
+  CREATE TABLE IF NOT EXISTS match_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    live_key TEXT NOT NULL,
+    corpus_key TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('pin', 'forbid')),
+    note TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (live_key, corpus_key)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_match_overrides_live ON match_overrides(live_key);
+
+  CREATE TABLE IF NOT EXISTS match_review_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    live_key TEXT NOT NULL UNIQUE,
+    live_shop TEXT NOT NULL,
+    candidates TEXT NOT NULL,
+    best_score REAL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    resolution TEXT,
+    resolved_corpus_key TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT,
+    resolved_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_match_review_status ON match_review_queue(status);
+`);
+
+// Append-only history of merged shop states; a row is written only when a
+// shop's content changes
+db.exec(`
+  CREATE TABLE IF NOT EXISTS shop_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shop_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    changed_at TEXT NOT NULL,
+    diff TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    UNIQUE (shop_id, revision)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_shop_revisions_changed ON shop_revisions(changed_at);
+`);
+
+// Fields that change on every merge or depend on the request; they are not
+// part of a shop's history
+const VOLATILE_FIELDS = new Set([
+  'last_updated',
+  'created_at',
+  'provenance',
+  'match',
+  'confidence_breakdown',
+  'query_match',
+  'distance_m',
+]);
+
+// Latest live-vs-corpus disagreement per shop and field
+db.exec(`
+  CREATE TABLE IF NOT EXISTS shop_conflicts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shop_id TEXT NOT NULL,
+    shop_name TEXT,
+    corpus_key TEXT,
+    district TEXT,
+    field TEXT NOT NULL,
+    live_value TEXT,
+    corpus_value TEXT,
+    severity TEXT,
+    detail TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    first_detected_at TEXT,
+    last_detected_at TEXT,
+    resolved_at TEXT,
+    UNIQUE (shop_id, field)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_shop_conflicts_district ON shop_conflicts(district, status);
+`);
+
+function ensureColumns(table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  const added = [];
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      added.push(name);
+    }
+  }
+  return added;
+}
+
 export class SQLiteCache {
   constructor() {
     this.db = db;
@@ -64,39 +276,142 @@ export class SQLiteCache {
   getShops(district = null) {
     try {
       const query = district
-        ? 'SELECT * FROM shops WHERE district = ? ORDER BY rating DESC'
+        ? 'SELECT * FROM shops WHERE lower(trim(district)) = lower(trim(?)) ORDER BY rating DESC'
         : 'SELECT * FROM shops ORDER BY rating DESC';
       
       const rows = district
         ? db.prepare(query).all(district)
         : db.prepare(query).all();
       
-      return rows.map(row => ({
-        ...row,
-        prettiest_women: JSON.parse(row.prettiest_women || '[]'),
-        pricing: JSON.parse(row.pricing || '[]'),
-        line_usernames: JSON.parse(row.line_usernames || '[]'),
-        websites: JSON.parse(row.websites || '[]'),
-        safety_signals: JSON.parse(row.safety_signals || '[]'),
-        data_sources: JSON.parse(row.data_sources || '[]'),
-        verified: Boolean(row.verified),
-      }));
+      return rows.map(row => this.rowToShop(row));
     } catch (e) {
       console.error('[sqlite] Get shops error:', e.message);
       return [];
     }
   }
 
-  saveShops(shops) {
+  getShopById(id) {
+    try {
+      const row = db.prepare('SELECT * FROM shops WHERE id = ?').get(id);
+      return row ? this.rowToShop(row) : null;
+    } catch (e) {
+      console.error('[sqlite] Get shop error:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Full-text search; returns shop id -> rank (1 = best match). The text is
+   * split where the unicode61 tokenizer splits, so punctuation such as `&`
+   * never becomes an empty term that matches nothing.
+   */
+  searchShops(text) {
+    const terms = String(text)
+      .split(/[^\p{L}\p{N}\p{Co}]+/u)
+      .filter(Boolean);
+    if (terms.length === 0) return new Map();
+
+    const match = terms.map(term => `"${term}"*`).join(' AND ');
+    const rows = db.prepare(`
+      SELECT id FROM shops_fts WHERE shops_fts MATCH ? ORDER BY bm25(shops_fts)
+    `).all(match);
+
+    return new Map(rows.map((row, i) => [row.id, i + 1]));
+  }
+
+  /**
+   * Shops within radiusMeters of a point, nearest first, via the R*Tree index
+   */
+  getShopsNearby(lat, lng, radiusMeters, limit = 50) {
+    try {
+      const box = boundingBox(lat, lng, radiusMeters);
+      return this.getShopsInBox(box, { lat, lng })
+        .filter(shop => shop.distance_m <= radiusMeters)
+        .slice(0, limit);
+    } catch (e) {
+      console.error('[sqlite] Get nearby shops error:', e.message);
+      return [];
+    }
+  }
+
+  /**
+   * Shops inside a lat/lng bounding box, sorted by distance from `origin`
+   */
+  getShopsInBox(box, origin) {
+    const rows = db.prepare(`
+      SELECT shops.* FROM shops_rtree
+      JOIN shops ON shops.rowid = shops_rtree.id
+      WHERE shops_rtree.max_lat >= ? AND shops_rtree.min_lat <= ?
+        AND shops_rtree.max_lng >= ? AND shops_rtree.min_lng <= ?
+    `).all(box.minLat, box.maxLat, box.minLng, box.maxLng);
+
+    return rows
+      .map(row => ({
+        ...this.rowToShop(row),
+        distance_m: Math.round(haversineMeters(origin.lat, origin.lng, row.lat, row.lng)),
+      }))
+      .sort((a, b) => a.distance_m - b.distance_m);
+  }
+
+  rowToShop(row) {
+    const { lat, lng, data, ...rest } = row;
+    // Bookkeeping, not part of the shop
+    delete rest.corpus_record;
+    return {
+      ...JSON.parse(data || '{}'),
+      ...rest,
+      prettiest_women: JSON.parse(row.prettiest_women || '[]'),
+      pricing: JSON.parse(row.pricing || '[]'),
+      line_usernames: JSON.parse(row.line_usernames || '[]'),
+      websites: JSON.parse(row.websites || '[]'),
+      safety_signals: JSON.parse(row.safety_signals || '[]'),
+      data_sources: JSON.parse(row.data_sources || '[]'),
+      verified: Boolean(row.verified),
+      coordinates: lat !== null && lng !== null ? { lat, lng } : null,
+    };
+  }
+
+  /**
+   * Save shops, recording a revision for each whose content changed.
+   * `corpus` marks them as corpus records: a record the row was already
+   * loaded from is skipped (refilling the cache is not a change), and an
+   * edited record only updates the edited fields of a merged shop. Otherwise
+   * a row keeps the corpus record it already had.
+   */
+  saveShops(shops, { corpus = false } = {}) {
     try {
       const stmt = db.prepare(`
-        INSERT OR REPLACE INTO shops VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT OR REPLACE INTO shops (
+          id, name, address, district, rating, review_count, prettiest_women, pricing,
+          line_usernames, websites, verified, safety_signals, data_sources, last_updated,
+          created_at, lat, lng, data, corpus_record
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
+      const findRowid = db.prepare('SELECT rowid, corpus_record, data, data_sources FROM shops WHERE id = ?');
+      const deleteSpatial = db.prepare('DELETE FROM shops_rtree WHERE id = ?');
+      const insertSpatial = db.prepare('INSERT INTO shops_rtree VALUES (?, ?, ?, ?, ?)');
+      const deleteText = db.prepare('DELETE FROM shops_fts WHERE id = ?');
+      const insertText = db.prepare('INSERT INTO shops_fts (id, name, address, notes) VALUES (?, ?, ?, ?)');
 
       const insert = db.transaction((shops) => {
-        for (const shop of shops) {
-          stmt.run(
-            shop.id || this.generateId(shop.name),
+        const now = new Date().toISOString();
+        for (const record of shops) {
+          const id = record.id || this.generateId(record.name);
+          const previous = findRowid.get(id);
+          const corpusRecord = corpus ? JSON.stringify(record) : previous?.corpus_record ?? null;
+          if (corpus && previous?.corpus_record === corpusRecord) continue;
+
+          const shop = corpus && previous && isMerged(previous)
+            ? applyCorpusEdits(previous, record)
+            : record;
+          const lat = toCoordinate(shop.coordinates?.lat);
+          const lng = toCoordinate(shop.coordinates?.lng);
+
+          // REPLACE assigns a new rowid, so drop the old spatial entry first
+          if (previous) deleteSpatial.run(previous.rowid);
+
+          const result = stmt.run(
+            id,
             shop.name,
             shop.address || null,
             shop.district || null,
@@ -109,9 +424,22 @@ export class SQLiteCache {
             shop.verified ? 1 : 0,
             JSON.stringify(shop.safety_signals || []),
             JSON.stringify(shop.data_sources || []),
-            new Date().toISOString(),
-            new Date().toISOString(),
+            now,
+            now,
+            lat,
+            lng,
+            JSON.stringify(shop),
+            corpusRecord,
           );
+
+          if (lat !== null && lng !== null) {
+            insertSpatial.run(result.lastInsertRowid, lat, lat, lng, lng);
+          }
+
+          deleteText.run(id);
+          insertText.run(id, shop.name, shop.address || null, shop.notes || null);
+
+          this.recordRevision(id, { ...shop, id }, now);
         }
       });
 
@@ -122,12 +450,257 @@ export class SQLiteCache {
     }
   }
 
+  /**
+   * Save the corpus shops and delete the rows, with their spatial and text
+   * index entries, of shops that are no longer in the corpus. Live-only rows
+   * from merges are kept. Each deleted shop gets a tombstone revision so
+   * as_of queries stop returning it. Returns the ids deleted.
+   */
+  replaceCorpusShops(shops) {
+    const ids = shops.map(shop => shop.id || this.generateId(shop.name));
+    const replace = db.transaction(() => {
+      this.saveShops(shops, { corpus: true });
+
+      const removed = db.prepare(`
+        SELECT rowid, id FROM shops
+        WHERE corpus_record IS NOT NULL AND id NOT IN (SELECT value FROM json_each(?))
+      `).all(JSON.stringify(ids));
+      const deleteSpatial = db.prepare('DELETE FROM shops_rtree WHERE id = ?');
+      const deleteText = db.prepare('DELETE FROM shops_fts WHERE id = ?');
+      const deleteShop = db.prepare('DELETE FROM shops WHERE id = ?');
+      const now = new Date().toISOString();
+      for (const row of removed) {
+        deleteSpatial.run(row.rowid);
+        deleteText.run(row.id);
+        deleteShop.run(row.id);
+        this.recordRevision(row.id, { id: row.id, deleted: true, deleted_at: now }, now);
+      }
+      return removed.map(row => row.id);
+    });
+    return replace();
+  }
+
+  /**
+   * Append a revision when the shop's content differs from its latest one
+   */
+  recordRevision(shopId, shop, changedAt) {
+    const snapshot = revisionContent(shop);
+    const latest = db.prepare(`
+      SELECT revision, snapshot FROM shop_revisions
+      WHERE shop_id = ? ORDER BY revision DESC LIMIT 1
+    `).get(shopId);
+
+    const diff = diffRecords(latest ? JSON.parse(latest.snapshot) : {}, snapshot);
+    if (Object.keys(diff).length === 0) return null;
+
+    const revision = latest ? latest.revision + 1 : 1;
+    db.prepare(`
+      INSERT INTO shop_revisions (shop_id, revision, changed_at, diff, snapshot)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(shopId, revision, changedAt, JSON.stringify(diff), JSON.stringify(snapshot));
+    return revision;
+  }
+
+  getShopHistory(shopId, { includeSnapshots = false } = {}) {
+    return db.prepare(`
+      SELECT * FROM shop_revisions WHERE shop_id = ? ORDER BY revision
+    `).all(shopId).map(row => ({
+      revision: row.revision,
+      changed_at: row.changed_at,
+      diff: JSON.parse(row.diff),
+      ...(includeSnapshots ? { snapshot: JSON.parse(row.snapshot) } : {}),
+    }));
+  }
+
+  /**
+   * Every shop as it stood at `asOf` (ISO timestamp), from the latest
+   * revision at or before that time. Shops deleted by then are left out.
+   */
+  getShopsAsOf(asOf, district = null) {
+    try {
+      const rows = db.prepare(`
+        SELECT r.shop_id, r.revision, r.changed_at, r.snapshot FROM shop_revisions r
+        JOIN (
+          SELECT shop_id, MAX(revision) AS revision FROM shop_revisions
+          WHERE changed_at <= ? GROUP BY shop_id
+        ) latest ON latest.shop_id = r.shop_id AND latest.revision = r.revision
+      `).all(asOf);
+
+      return rows
+        .map(row => ({
+          ...JSON.parse(row.snapshot),
+          revision: row.revision,
+          revision_changed_at: row.changed_at,
+        }))
+        .filter(shop => !shop.deleted)
+        .filter(shop => !district || sameDistrict(shop.district, district))
+        .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+    } catch (e) {
+      console.error('[sqlite] Get shops as of error:', e.message);
+      return [];
+    }
+  }
+
+  countShops() {
+    return db.prepare('SELECT COUNT(*) AS count FROM shops').get().count;
+  }
+
+  oldestShopUpdate() {
+    return db.prepare('SELECT MIN(last_updated) AS oldest FROM shops').get().oldest || null;
+  }
+
+  /**
+   * Store a corpus file version; seeing the same content again only bumps
+   * last_seen_at
+   */
+  saveCorpusSnapshot({ filename, hash, format, content, recordCount = null }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO corpus_snapshots (file, hash, format, size, record_count, content, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(file, hash) DO UPDATE SET last_seen_at = excluded.last_seen_at
+    `).run(filename, hash, format, Buffer.byteLength(content), recordCount, content, now, now);
+  }
+
+  listCorpusSnapshots(file = null) {
+    const columns = 'file, hash, format, size, record_count, first_seen_at, last_seen_at';
+    return file
+      ? db.prepare(`SELECT ${columns} FROM corpus_snapshots WHERE file = ? ORDER BY first_seen_at DESC`).all(file)
+      : db.prepare(`SELECT ${columns} FROM corpus_snapshots ORDER BY file, first_seen_at DESC`).all();
+  }
+
+  /**
+   * A snapshot by full hash or unique prefix; null for anything that isn't
+   * hex, throws (code 'ambiguous_version') when the prefix is ambiguous
+   */
+  getCorpusSnapshot(file, hash) {
+    const prefix = String(hash).toLowerCase();
+    if (!/^[0-9a-f]+$/.test(prefix)) return null;
+
+    const rows = db.prepare('SELECT * FROM corpus_snapshots WHERE file = ? AND hash LIKE ? LIMIT 2')
+      .all(file, `${prefix}%`);
+    if (rows.length > 1) {
+      const error = new Error(`Version ${hash} is ambiguous for ${file}; use more characters`);
+      error.code = 'ambiguous_version';
+      throw error;
+    }
+    return rows[0] || null;
+  }
+
+  saveCorpusProposal({ action, shop_id, record, changes = null, base = null }) {
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO corpus_proposals (action, shop_id, shop_name, record, changes, base, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)
+    `).run(
+      action,
+      shop_id,
+      record.name || null,
+      JSON.stringify(record),
+      changes ? JSON.stringify(changes) : null,
+      base ? JSON.stringify(base) : null,
+      new Date().toISOString(),
+    );
+    return this.getCorpusProposal(lastInsertRowid);
+  }
+
+  listCorpusProposals({ status = 'pending', shop_id = null } = {}) {
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (shop_id) { where.push('shop_id = ?'); params.push(shop_id); }
+
+    return db.prepare(`
+      SELECT * FROM corpus_proposals
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at, id
+    `).all(...params).map(row => this.rowToProposal(row));
+  }
+
+  getCorpusProposal(id) {
+    const row = db.prepare('SELECT * FROM corpus_proposals WHERE id = ?').get(id);
+    return row ? this.rowToProposal(row) : null;
+  }
+
+  resolveCorpusProposal(id, { status, record = null, note = null, corpus_hash = null }) {
+    db.prepare(`
+      UPDATE corpus_proposals
+      SET status = ?, record = COALESCE(?, record), review_note = ?, corpus_hash = ?, reviewed_at = ?
+      WHERE id = ?
+    `).run(status, record ? JSON.stringify(record) : null, note, corpus_hash, new Date().toISOString(), id);
+    return this.getCorpusProposal(id);
+  }
+
+  rowToProposal(row) {
+    return {
+      ...row,
+      record: JSON.parse(row.record),
+      changes: row.changes ? JSON.parse(row.changes) : null,
+      base: row.base ? JSON.parse(row.base) : null,
+    };
+  }
+
+  /**
+   * Append an invalidation message to the log; entries older than a day are
+   * dropped
+   */
+  appendInvalidation(origin, message) {
+    const now = new Date();
+    db.prepare('INSERT INTO cache_invalidations (origin, message, created_at) VALUES (?, ?, ?)')
+      .run(origin, JSON.stringify(message), now.toISOString());
+    db.prepare('DELETE FROM cache_invalidations WHERE created_at < ?')
+      .run(new Date(now.getTime() - 86400 * 1000).toISOString());
+  }
+
+  latestInvalidationId() {
+    return db.prepare('SELECT MAX(id) AS id FROM cache_invalidations').get().id || 0;
+  }
+
+  /**
+   * Messages logged after `afterId` by other instances
+   */
+  invalidationsSince(afterId, origin) {
+    return db.prepare('SELECT * FROM cache_invalidations WHERE id > ? AND origin != ? ORDER BY id')
+      .all(afterId, origin)
+      .map(row => ({ ...row, message: JSON.parse(row.message) }));
+  }
+
+  /**
+   * Record that cached rows for a dataset written before now are stale
+   */
+  markInvalidated(dataset, at = new Date().toISOString()) {
+    db.prepare('INSERT OR REPLACE INTO cache_meta (key, value) VALUES (?, ?)').run(`invalidated:${dataset}`, at);
+  }
+
+  getInvalidatedAt(dataset) {
+    return db.prepare('SELECT value FROM cache_meta WHERE key = ?').get(`invalidated:${dataset}`)?.value || null;
+  }
+
+  /**
+   * Record that a dataset's rows were (re)loaded from the corpus
+   */
+  markLoaded(dataset, at = new Date().toISOString()) {
+    db.prepare('INSERT OR REPLACE INTO cache_meta (key, value) VALUES (?, ?)').run(`loaded:${dataset}`, at);
+  }
+
+  getLoadedAt(dataset) {
+    return db.prepare('SELECT value FROM cache_meta WHERE key = ?').get(`loaded:${dataset}`)?.value || null;
+  }
+
+  clearDistrictProfiles() {
+    db.prepare('DELETE FROM districts').run();
+  }
+
+  clearPricingReference() {
+    db.prepare('DELETE FROM pricing_reference').run();
+  }
+
   getDistrictProfiles() {
     try {
-      const rows = db.prepare('SELECT * FROM districts').all();
+      // Same shape as the corpus records, plus when the row was written
+      const rows = db.prepare('SELECT * FROM districts ORDER BY name').all();
       return rows.map(row => ({
+        ...JSON.parse(row.profile || '{}'),
         name: row.name,
-        profile: JSON.parse(row.profile || '{}'),
         last_updated: row.last_updated,
       }));
     } catch (e) {
@@ -140,8 +713,10 @@ export class SQLiteCache {
     try {
       const stmt = db.prepare('INSERT OR REPLACE INTO districts VALUES (?, ?, ?)');
       const insert = db.transaction((profiles) => {
-        for (const profile of profiles) {
-          stmt.run(profile.name, JSON.stringify(profile), new Date().toISOString());
+        const now = new Date().toISOString();
+        for (const { last_updated, ...profile } of profiles) {
+          if (!profile.name) continue;
+          stmt.run(profile.name, JSON.stringify(profile), now);
         }
       });
       insert(profiles);
@@ -152,7 +727,11 @@ export class SQLiteCache {
 
   getPricingReference() {
     try {
-      return db.prepare('SELECT * FROM pricing_reference').all();
+      return db.prepare('SELECT * FROM pricing_reference ORDER BY id').all().map(({ id, ...row }) => ({
+        '@type': 'PriceTier',
+        ...row,
+        notes: row.notes ?? undefined,
+      }));
     } catch (e) {
       console.error('[sqlite] Get pricing error:', e.message);
       return [];
@@ -162,10 +741,13 @@ export class SQLiteCache {
   savePricingReference(pricing) {
     try {
       const stmt = db.prepare(`
-        INSERT OR REPLACE INTO pricing_reference (district, massage_type, price_low, price_high, price_typical, currency)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO pricing_reference (district, massage_type, price_low, price_high, price_typical, currency, notes, last_updated)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `);
+      // The reference is always saved whole, so replace rather than append
       const insert = db.transaction((pricing) => {
+        const now = new Date().toISOString();
+        db.prepare('DELETE FROM pricing_reference').run();
         for (const p of pricing) {
           stmt.run(
             p.district,
@@ -173,7 +755,9 @@ export class SQLiteCache {
             p.price_low,
             p.price_high,
             p.price_typical,
-            p.currency || 'THB'
+            p.currency || 'THB',
+            p.notes || null,
+            now
           );
         }
       });
@@ -183,8 +767,168 @@ export class SQLiteCache {
     }
   }
 
+  getMatchOverrides(liveKey) {
+    return db.prepare('SELECT * FROM match_overrides WHERE live_key = ?').all(liveKey);
+  }
+
+  listMatchOverrides() {
+    return db.prepare('SELECT * FROM match_overrides ORDER BY created_at DESC, id DESC').all();
+  }
+
+  /**
+   * A live shop has at most one pin; pinning replaces any earlier pin
+   */
+  saveMatchOverride({ live_key, corpus_key, action, note = null }) {
+    const save = db.transaction(() => {
+      if (action === 'pin') {
+        db.prepare("DELETE FROM match_overrides WHERE live_key = ? AND action = 'pin'").run(live_key);
+      }
+      db.prepare(`
+        INSERT INTO match_overrides (live_key, corpus_key, action, note, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (live_key, corpus_key) DO UPDATE SET
+          action = excluded.action,
+          note = excluded.note,
+          created_at = excluded.created_at
+      `).run(live_key, corpus_key, action, note, new Date().toISOString());
+
+      return db.prepare('SELECT * FROM match_overrides WHERE live_key = ? AND corpus_key = ?')
+        .get(live_key, corpus_key);
+    });
+    return save();
+  }
+
+  deleteMatchOverride(id) {
+    return db.prepare('DELETE FROM match_overrides WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Queue an ambiguous merge; a pending entry for the same live shop is refreshed,
+   * a resolved one is left alone
+   */
+  enqueueMatchReview({ live_key, live_shop, candidates, best_score, reason }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO match_review_queue (live_key, live_shop, candidates, best_score, reason, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+      ON CONFLICT (live_key) DO UPDATE SET
+        live_shop = excluded.live_shop,
+        candidates = excluded.candidates,
+        best_score = excluded.best_score,
+        reason = excluded.reason,
+        updated_at = excluded.updated_at
+      WHERE match_review_queue.status = 'pending'
+    `).run(live_key, JSON.stringify(live_shop), JSON.stringify(candidates), best_score, reason, now, now);
+  }
+
+  listMatchReviews(status = 'pending') {
+    const rows = status
+      ? db.prepare('SELECT * FROM match_review_queue WHERE status = ? ORDER BY created_at, id').all(status)
+      : db.prepare('SELECT * FROM match_review_queue ORDER BY created_at, id').all();
+    return rows.map(row => this.rowToReview(row));
+  }
+
+  getMatchReview(id) {
+    const row = db.prepare('SELECT * FROM match_review_queue WHERE id = ?').get(id);
+    return row ? this.rowToReview(row) : null;
+  }
+
+  resolveMatchReview(id, { resolution, corpus_key = null }) {
+    db.prepare(`
+      UPDATE match_review_queue
+      SET status = 'resolved', resolution = ?, resolved_corpus_key = ?, resolved_at = ?
+      WHERE id = ?
+    `).run(resolution, corpus_key, new Date().toISOString(), id);
+    return this.getMatchReview(id);
+  }
+
+  rowToReview(row) {
+    return {
+      ...row,
+      live_shop: JSON.parse(row.live_shop || '{}'),
+      candidates: JSON.parse(row.candidates || '[]'),
+    };
+  }
+
+  /**
+   * Record the conflicts found for one merged shop. Fields that no longer
+   * conflict have their open entry closed as auto_resolved.
+   */
+  saveConflicts(shop, corpusKey, conflicts) {
+    const now = new Date().toISOString();
+    const upsert = db.prepare(`
+      INSERT INTO shop_conflicts (
+        shop_id, shop_name, corpus_key, district, field, live_value, corpus_value,
+        severity, detail, status, first_detected_at, last_detected_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)
+      ON CONFLICT (shop_id, field) DO UPDATE SET
+        shop_name = excluded.shop_name,
+        corpus_key = excluded.corpus_key,
+        district = excluded.district,
+        live_value = excluded.live_value,
+        corpus_value = excluded.corpus_value,
+        severity = excluded.severity,
+        detail = excluded.detail,
+        status = 'open',
+        first_detected_at = CASE WHEN shop_conflicts.status = 'open'
+          THEN shop_conflicts.first_detected_at ELSE excluded.first_detected_at END,
+        last_detected_at = excluded.last_detected_at,
+        resolved_at = NULL
+    `);
+    const resolveStale = db.prepare(`
+      UPDATE shop_conflicts SET status = 'auto_resolved', resolved_at = ?
+      WHERE shop_id = ? AND status = 'open' AND field NOT IN (SELECT value FROM json_each(?))
+    `);
+
+    const save = db.transaction(() => {
+      for (const conflict of conflicts) {
+        upsert.run(
+          shop.id,
+          shop.name,
+          corpusKey,
+          shop.district || null,
+          conflict.field,
+          JSON.stringify(conflict.live_value),
+          JSON.stringify(conflict.corpus_value),
+          conflict.severity,
+          conflict.detail,
+          now,
+          now,
+        );
+      }
+      resolveStale.run(now, shop.id, JSON.stringify(conflicts.map(c => c.field)));
+    });
+    save();
+  }
+
+  /**
+   * Conflicts matching the filters. Districts match as in the shop filters,
+   * ignoring case and surrounding whitespace.
+   */
+  getConflicts({ district = null, field = null, severity = null, status = 'open' } = {}) {
+    const where = [];
+    const params = [];
+    if (field) { where.push('field = ?'); params.push(field); }
+    if (severity) { where.push('severity = ?'); params.push(severity); }
+    if (status) { where.push('status = ?'); params.push(status); }
+
+    const rows = db.prepare(`
+      SELECT * FROM shop_conflicts
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY last_detected_at DESC, id DESC
+    `).all(...params);
+
+    return rows
+      .filter(row => !district || sameDistrict(row.district, district))
+      .map(row => ({
+        ...row,
+        live_value: JSON.parse(row.live_value ?? 'null'),
+        corpus_value: JSON.parse(row.corpus_value ?? 'null'),
+      }));
+  }
+
   generateId(name) {
-    return require('crypto')
+    return crypto
       .createHash('sha256')
       .update(name)
       .digest('hex')
@@ -192,3 +936,89 @@ export class SQLiteCache {
   }
 }
 
+/**
+ * Cache backend storing JSON values in the SQLite database (the
+ * `cache_entries` table), so cached lists survive restarts without Redis
+ */
+export class SQLiteKeyValueCache {
+  constructor() {
+    this.name = 'sqlite';
+    this.shared = false;
+  }
+
+  get(key) {
+    const row = db.prepare('SELECT value, expires_at FROM cache_entries WHERE key = ?').get(key);
+    if (!row) return null;
+    if (row.expires_at <= Date.now()) {
+      db.prepare('DELETE FROM cache_entries WHERE key = ?').run(key);
+      return null;
+    }
+    return JSON.parse(row.value);
+  }
+
+  set(key, value, ttlSeconds, tags = []) {
+    const now = Date.now();
+    db.prepare('INSERT OR REPLACE INTO cache_entries (key, value, tags, expires_at) VALUES (?, ?, ?, ?)')
+      .run(key, JSON.stringify(value), JSON.stringify(tags), now + ttlSeconds * 1000);
+    db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?').run(now);
+  }
+
+  invalidateTags(tags) {
+    return db.prepare(`
+      DELETE FROM cache_entries
+      WHERE EXISTS (
+        SELECT 1 FROM json_each(cache_entries.tags) WHERE value IN (SELECT value FROM json_each(?))
+      )
+    `).run(JSON.stringify(tags)).changes;
+  }
+
+  inspect(pattern = '*') {
+    const now = Date.now();
+    const keys = db.prepare('SELECT key, length(value) AS bytes, tags, expires_at FROM cache_entries WHERE key GLOB ? ORDER BY key')
+      .all(pattern)
+      .filter(row => row.expires_at > now)
+      .map(row => ({
+        key: row.key,
+        ttl_s: Math.round((row.expires_at - now) / 1000),
+        bytes: row.bytes,
+        tags: JSON.parse(row.tags),
+      }));
+    return { keys, totals: { keys: keys.length } };
+  }
+
+  ping() {
+    return true;
+  }
+}
+
+function isMerged(row) {
+  return JSON.parse(row.data_sources || '[]').includes('google_maps');
+}
+
+/**
+ * A merged shop row with the fields that changed between the corpus record
+ * it was merged from and `record` applied; the merge's own values for
+ * everything else are kept
+ */
+function applyCorpusEdits(row, record) {
+  const merged = JSON.parse(row.data || '{}');
+  const edits = diffRecords(row.corpus_record ? JSON.parse(row.corpus_record) : record, record);
+  for (const [field, { to }] of Object.entries(edits)) {
+    if (to === null) delete merged[field];
+    else merged[field] = to;
+  }
+  return merged;
+}
+
+function revisionContent(shop) {
+  const content = {};
+  for (const [key, value] of Object.entries(shop)) {
+    if (!VOLATILE_FIELDS.has(key) && value !== undefined) content[key] = value;
+  }
+  return content;
+}
+
+function toCoordinate(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+}
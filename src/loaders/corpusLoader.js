@@ -1,6 +1,8 @@
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, renameSync, existsSync, readdirSync, statSync, watch } from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename } from 'path';
+import { validateCorpusFile, formatValidationError, isStrictCorpus } from './corpusValidator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,43 +12,464 @@ const CORPUS_DIR = process.env.CORPUS_DIR ||
    existsSync(join(process.cwd(), 'corpus')) ? join(process.cwd(), 'corpus') :
    join(__dirname, '../../../corpus')); // fallback
 
+// filename -> { mtimeMs, size, hash, file, loaded } for files read so far
+const memo = new Map();
+const changeListeners = new Set();
+const loadListeners = new Set();
+let watcher = null;
+
+/**
+ * Load a corpus file's validated records. Parsed files are memoized by
+ * mtime and content hash, so repeated calls don't touch the disk until the
+ * file changes. Returns a copy callers are free to mutate.
+ */
 export function loadCorpusFiles(filename) {
+  const file = readCorpusFile(filename);
+  if (!file) return null;
+
+  const entry = memo.get(filename);
+  if (entry && !('loaded' in entry)) {
+    entry.loaded = validateLoaded(file);
+  }
+  const loaded = entry ? entry.loaded : validateLoaded(file);
+  return loaded === null ? null : structuredClone(loaded);
+}
+
+function validateLoaded(file) {
+  const { filename } = file;
+  if (!Array.isArray(file.data)) return file.data;
+
+  const { report, invalidIndexes } = validateCorpusFile(file);
+  if (report.valid) return file.data;
+
+  for (const error of report.errors) {
+    console.warn(`[corpus] ${formatValidationError(filename, error)}`);
+  }
+  if (isStrictCorpus()) {
+    console.error(`[corpus] Strict mode: refusing ${filename} (${report.errors.length} validation errors)`);
+    return null;
+  }
+
+  console.warn(`[corpus] Dropped ${invalidIndexes.size} invalid records from ${filename}`);
+  return file.data.filter((record, index) => !invalidIndexes.has(index));
+}
+
+/**
+ * Read and parse one corpus file without validating it. Returns
+ * { filename, path, format, hash, data, lines, errors } where `lines` holds
+ * the source line of each record (when known) and `errors` lists parse
+ * failures; null when the file is missing or unreadable. Results are
+ * memoized; treat them as read-only.
+ */
+export function readCorpusFile(filename) {
+  if (!isCorpusFileName(filename)) {
+    console.warn(`[corpus] Refusing to read ${filename}: not a corpus file name`);
+    return null;
+  }
+  const filepath = join(CORPUS_DIR, filename);
   try {
-    const filepath = join(CORPUS_DIR, filename);
-    
-    // Debug logging
-    console.log(`[corpus] Loading ${filename} from ${filepath}`);
-    console.log(`[corpus] CORPUS_DIR: ${CORPUS_DIR}`);
-    console.log(`[corpus] File exists: ${existsSync(filepath)}`);
-    
     if (!existsSync(filepath)) {
-      console.warn(`[corpus] File not found: ${filepath}`);
+      if (memo.delete(filename)) {
+        console.warn(`[corpus] ${filename} was removed`);
+      } else {
+        console.warn(`[corpus] File not found: ${filepath}`);
+      }
       return null;
     }
-    
-    const content = readFileSync(filepath, 'utf-8');
 
-    if (filename.endsWith('.ndjson')) {
-      return content
-        .split('\n')
-        .filter(line => line.trim())
-        .map(line => {
-          try {
-            return JSON.parse(line);
-          } catch (e) {
-            console.warn(`[corpus] Failed to parse line in ${filename}:`, e.message);
-            return null;
-          }
-        })
-        .filter(item => item !== null);
-    } else if (filename.endsWith('.json')) {
-      return JSON.parse(content);
+    const stats = statSync(filepath);
+    const cached = memo.get(filename);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.file;
     }
 
-    return null;
+    const content = readFileSync(filepath, 'utf-8');
+    const hash = contentHash(content);
+    if (cached && cached.hash === hash) {
+      // Touched but not changed
+      cached.mtimeMs = stats.mtimeMs;
+      cached.size = stats.size;
+      return cached.file;
+    }
+
+    const format = detectFormat(content, filename);
+    console.log(`[corpus] Loaded ${filename} from ${filepath} (${format}, ${hash.slice(0, 12)})`);
+
+    const file = { filename, path: filepath, format, hash, ...parseCorpusContent(content, format, filename) };
+    memo.set(filename, { mtimeMs: stats.mtimeMs, size: stats.size, hash, file });
+    notifyLoad({
+      filename,
+      hash,
+      format,
+      content,
+      recordCount: Array.isArray(file.data) ? file.data.length : null,
+    });
+    return file;
   } catch (error) {
     console.warn(`[corpus] Failed to load ${filename}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Re-read corpus files (all of them by default), bypassing the mtime check.
+ * Returns [{ file, hash, changed }]; listeners are told about changed files.
+ */
+export function reloadCorpus(files = listCorpusFiles()) {
+  const results = files.map(filename => {
+    const previous = memo.get(filename)?.hash || null;
+    memo.delete(filename);
+    const file = readCorpusFile(filename);
+    return { file: filename, hash: file?.hash || null, changed: (file?.hash || null) !== previous };
+  });
+
+  const changed = results.filter(r => r.changed).map(r => r.file);
+  if (changed.length > 0) notifyChange(changed);
+  return results;
+}
+
+/**
+ * Memoized corpus files with their content hashes and modification times
+ */
+export function corpusFileInfo() {
+  return [...memo.entries()].map(([file, entry]) => ({
+    file,
+    hash: entry.hash,
+    format: entry.file.format,
+    modified_at: new Date(entry.mtimeMs).toISOString(),
+    size: entry.size,
+  }));
+}
+
+/**
+ * Register a listener called with the list of corpus files whose content
+ * changed. Returns an unsubscribe function.
+ */
+export function onCorpusChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Register a listener called with { filename, hash, format, content,
+ * recordCount } each time a new version of a corpus file is read, e.g. to
+ * keep snapshots. Returns an unsubscribe function.
+ */
+export function onCorpusLoad(listener) {
+  loadListeners.add(listener);
+  return () => loadListeners.delete(listener);
+}
+
+function notifyLoad(version) {
+  for (const listener of loadListeners) {
+    try {
+      listener(version);
+    } catch (e) {
+      console.error('[corpus] Load listener error:', e.message);
+    }
+  }
+}
+
+/**
+ * Replace a corpus file's content (written to a temp file and renamed, so
+ * readers never see half a file) and reload it
+ */
+export function writeCorpusFile(filename, content) {
+  if (!isCorpusFileName(filename)) {
+    throw new Error(`Not a corpus file name: ${filename}`);
+  }
+  const filepath = join(CORPUS_DIR, filename);
+  const tmp = join(CORPUS_DIR, `.${filename}.${process.pid}.tmp`);
+  writeFileSync(tmp, content);
+  renameSync(tmp, filepath);
+  return reloadCorpus([filename])[0];
+}
+
+/**
+ * Records in a stored version of a corpus file (see onCorpusLoad)
+ */
+export function parseCorpusSnapshot(filename, content) {
+  return parseCorpusContent(content, detectFormat(content, filename), filename).data;
+}
+
+function notifyChange(files) {
+  for (const listener of changeListeners) {
+    try {
+      listener(files);
+    } catch (e) {
+      console.error('[corpus] Change listener error:', e.message);
+    }
+  }
+}
+
+/**
+ * Watch CORPUS_DIR and reload files whose content changes. Editors often
+ * write a file in several steps, so events are debounced.
+ */
+export function watchCorpus({ debounceMs = 300 } = {}) {
+  if (watcher || !existsSync(CORPUS_DIR)) return watcher;
+
+  const pending = new Set();
+  let timer = null;
+
+  try {
+    watcher = watch(CORPUS_DIR, (eventType, filename) => {
+      if (!filename || !isCorpusFile(filename)) return;
+      pending.add(filename);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const files = [...pending];
+        pending.clear();
+        checkCorpusChanges(files);
+      }, debounceMs);
+    });
+    watcher.on('error', (e) => console.error('[corpus] Watcher error:', e.message));
+    watcher.unref?.();
+    console.log(`[corpus] Watching ${CORPUS_DIR}`);
+  } catch (e) {
+    console.warn('[corpus] Could not watch corpus directory:', e.message);
+    watcher = null;
+  }
+  return watcher;
+}
+
+/**
+ * Re-read corpus files (all of them by default) whose mtime or size moved
+ * and tell listeners about the ones whose content changed. Used by the
+ * watcher and by polling where file events aren't available.
+ */
+export function checkCorpusChanges(files = listCorpusFiles()) {
+  const changed = files.filter(name => {
+    const previous = memo.get(name)?.hash || null;
+    const current = readCorpusFile(name)?.hash || null;
+    return current !== previous;
+  });
+  if (changed.length > 0) {
+    console.log(`[corpus] Changed on disk: ${changed.join(', ')}`);
+    notifyChange(changed);
+  }
+  return changed;
+}
+
+export function stopWatchingCorpus() {
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function isCorpusFile(name) {
+  return /\.(json|ndjson|jsonld|geojson|csv)$/i.test(name);
+}
+
+/**
+ * Whether `name` can only refer to a file directly inside CORPUS_DIR: a
+ * plain file name (no directories, not hidden) with a corpus extension
+ */
+export function isCorpusFileName(name) {
+  return typeof name === 'string' && name === basename(name) && !name.startsWith('.') && isCorpusFile(name);
+}
+
+/**
+ * Corpus data files in CORPUS_DIR
+ */
+export function listCorpusFiles() {
+  if (!existsSync(CORPUS_DIR)) return [];
+  return readdirSync(CORPUS_DIR)
+    .filter(isCorpusFile)
+    .sort();
+}
+
+/**
+ * Validation report for every corpus file (or just `files`)
+ */
+export function validateCorpus(files = listCorpusFiles()) {
+  const reports = files.map(filename => {
+    const file = readCorpusFile(filename);
+    if (!file) {
+      return { file: filename, format: null, records: null, valid: false, errors: [{ line: null, message: 'file not found or unreadable' }] };
+    }
+    return validateCorpusFile(file).report;
+  });
+
+  return {
+    valid: reports.every(r => r.valid),
+    strict: isStrictCorpus(),
+    error_count: reports.reduce((sum, r) => sum + r.errors.length, 0),
+    files: reports,
+  };
+}
+
+/**
+ * Sniff a corpus file's format from its content rather than its extension:
+ * 'json' (including GeoJSON), 'jsonld' (a document with an @graph array),
+ * 'ndjson' (one JSON value per line) or 'csv' (header row first). The
+ * filename only breaks the tie for a one-line .ndjson file.
+ */
+export function detectFormat(content, filename = '') {
+  const text = content.replace(/^\uFEFF/, '').trim();
+  if (!text) return 'empty';
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && Array.isArray(parsed['@graph'])) return 'jsonld';
+      return filename.endsWith('.ndjson') && !Array.isArray(parsed) ? 'ndjson' : 'json';
+    } catch (e) {
+      // Several JSON values, one per line (some of which may be broken)
+      const parsesAsLine = (line) => {
+        try {
+          JSON.parse(line);
+          return true;
+        } catch (lineError) {
+          return false;
+        }
+      };
+      return text.split('\n').some(line => line.trim() && parsesAsLine(line)) ? 'ndjson' : 'invalid';
+    }
+  }
+
+  return 'csv';
+}
+
+/**
+ * Parse file content in a detected format into { data, lines, errors }.
+ * NDJSON, CSV and JSON-LD graphs come back as arrays of records; plain JSON
+ * is returned as-is. `lines` gives each record's 1-based source line where
+ * the format makes that cheap (NDJSON, CSV).
+ */
+export function parseCorpusContent(content, format, filename = 'corpus') {
+  const text = content.replace(/^\uFEFF/, '');
+
+  switch (format) {
+    case 'json':
+      return { data: JSON.parse(text), lines: null, errors: [] };
+
+    case 'jsonld': {
+      const doc = JSON.parse(text);
+      // Nodes inherit the document's @context so they stay self-describing
+      const data = doc['@graph'].map(node => (doc['@context'] && !node['@context']
+        ? { '@context': doc['@context'], ...node }
+        : node));
+      return { data, lines: null, errors: [] };
+    }
+
+    case 'ndjson': {
+      const data = [];
+      const lines = [];
+      const errors = [];
+      text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          data.push(JSON.parse(line));
+          lines.push(index + 1);
+        } catch (e) {
+          errors.push({ line: index + 1, message: `invalid JSON: ${e.message}` });
+        }
+      });
+      return { data, lines, errors };
+    }
+
+    case 'csv':
+      return parseCsv(text);
+
+    case 'empty':
+      return { data: null, lines: null, errors: [] };
+
+    default:
+      throw new Error(`Unrecognized format in ${filename}`);
+  }
+}
+
+/**
+ * CSV with a header row. Dotted headers ("coordinates.lat") build nested
+ * objects; numbers, booleans and JSON arrays/objects in cells are decoded.
+ */
+function parseCsv(text) {
+  const rows = splitCsvRows(text);
+  if (rows.length === 0) return { data: [], lines: [], errors: [] };
+
+  const headers = rows[0].cells.map(h => h.trim());
+  const body = rows.slice(1).filter(row => row.cells.some(cell => cell.trim() !== ''));
+  const data = body.map(({ cells }) => {
+    const record = {};
+    headers.forEach((header, i) => {
+      const value = decodeCsvValue(cells[i] ?? '');
+      if (value === null || !header) return;
+
+      const path = header.split('.');
+      let target = record;
+      for (const key of path.slice(0, -1)) {
+        target[key] ??= {};
+        target = target[key];
+      }
+      target[path[path.length - 1]] = value;
+    });
+    return record;
+  });
+
+  return { data, lines: body.map(row => row.line), errors: [] };
+}
+
+function splitCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+  return rows;
+}
+
+function decodeCsvValue(raw) {
+  const value = raw.trim();
+  if (value === '') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('[') || value.startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+}
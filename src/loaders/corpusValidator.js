@@ -0,0 +1,155 @@
+import { CORPUS_SCHEMAS, DEFAULT_RECORD_TYPES } from '../schemas/corpusSchemas.js';
+
+/**
+ * Strict mode (CORPUS_STRICT=true) refuses a whole corpus file when any
+ * record in it is invalid, instead of dropping just the bad records
+ */
+export function isStrictCorpus() {
+  return process.env.CORPUS_STRICT === 'true';
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords the corpus
+ * schemas use: type, required, properties, items, enum, const, minimum,
+ * maximum, minLength, pattern and format "date". Returns [{ path, message }].
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(record)';
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `must be ${schema.type}, got ${typeName(value)}` });
+    return errors;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(new Date(value).getTime()))) {
+      errors.push({ path: at, message: 'must be a YYYY-MM-DD date' });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ path: joinPath(path, field), message: 'is required' });
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] === undefined || value[field] === null) continue;
+      errors.push(...validateSchema(value[field], fieldSchema, joinPath(path, field)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validation report for a file read by readCorpusFile. Records are checked
+ * against the schema for their `@type`, or the file's default type when the
+ * `@type` is missing or unknown (so a misspelt type is rejected, not loaded
+ * unchecked); parse failures are reported too. `invalidIndexes` lists
+ * records to drop.
+ */
+export function validateCorpusFile(file) {
+  const report = {
+    file: file.filename,
+    format: file.format,
+    records: Array.isArray(file.data) ? file.data.length : null,
+    valid_records: 0,
+    invalid_records: 0,
+    unchecked_records: 0,
+    valid: true,
+    errors: file.errors.map(e => ({ line: e.line, record: null, type: null, path: null, message: e.message })),
+  };
+  const invalidIndexes = new Set();
+
+  if (Array.isArray(file.data)) {
+    file.data.forEach((record, index) => {
+      const declared = record?.['@type'];
+      const type = CORPUS_SCHEMAS[declared] ? declared : DEFAULT_RECORD_TYPES[file.filename] || declared || null;
+      const schema = CORPUS_SCHEMAS[type];
+      if (!schema) {
+        report.unchecked_records++;
+        return;
+      }
+
+      const errors = validateSchema(record, schema);
+      if (errors.length === 0) {
+        report.valid_records++;
+        return;
+      }
+
+      report.invalid_records++;
+      invalidIndexes.add(index);
+      for (const error of errors) {
+        report.errors.push({
+          line: file.lines?.[index] ?? null,
+          record: index,
+          type,
+          name: typeof record?.name === 'string' ? record.name : null,
+          ...error,
+        });
+      }
+    });
+  }
+
+  report.valid = report.errors.length === 0;
+  return { report, invalidIndexes };
+}
+
+/**
+ * One-line description of a validation error for logs
+ */
+export function formatValidationError(file, error) {
+  const location = error.line ? `${file}:${error.line}` : error.record !== null ? `${file} record ${error.record}` : file;
+  return `${location} ${error.path ? `${error.path} ` : ''}${error.message}`;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => {
+    switch (t) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
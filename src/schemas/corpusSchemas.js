@@ -0,0 +1,88 @@
+// JSON Schemas (draft-07 subset, see corpusValidator.js) for corpus records,
+// keyed by their `@type`
+
+const COORDINATE = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+  },
+};
+
+const PRICE = { type: 'number', minimum: 0 };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+export const MASSAGE_SHOP_SCHEMA = {
+  $id: 'MassageShop',
+  type: 'object',
+  required: ['name', 'district'],
+  properties: {
+    '@type': { const: 'MassageShop' },
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    district: { type: 'string', minLength: 1 },
+    address: { type: 'string' },
+    coordinates: COORDINATE,
+    price_traditional: PRICE,
+    price_oil: PRICE,
+    pricing: { type: 'array' },
+    hours: { type: 'string' },
+    rating: { type: 'number', minimum: 0, maximum: 5 },
+    review_count: { type: 'integer', minimum: 0 },
+    franchise: { type: 'boolean' },
+    legit: { type: 'boolean' },
+    verified: { type: 'boolean' },
+    strengths: STRING_LIST,
+    line_usernames: STRING_LIST,
+    websites: STRING_LIST,
+    notes: { type: 'string' },
+    last_verified: { type: 'string', format: 'date' },
+  },
+};
+
+export const DISTRICT_SCHEMA = {
+  $id: 'District',
+  type: 'object',
+  required: ['name', 'risk_level'],
+  properties: {
+    '@type': { const: 'District' },
+    name: { type: 'string', minLength: 1 },
+    character: { type: 'string' },
+    safety_at_night: { enum: ['good', 'moderate', 'poor'] },
+    risk_level: { enum: ['low', 'moderate', 'high'] },
+    tourist_density: { enum: ['low', 'medium', 'high', 'very_high'] },
+    price_average_traditional: PRICE,
+    price_average_oil: PRICE,
+    notes: { type: 'string' },
+  },
+};
+
+export const PRICE_TIER_SCHEMA = {
+  $id: 'PriceTier',
+  type: 'object',
+  required: ['district', 'massage_type', 'price_low', 'price_high', 'price_typical'],
+  properties: {
+    '@type': { const: 'PriceTier' },
+    district: { type: 'string', minLength: 1 },
+    massage_type: { enum: ['traditional', 'oil', 'foot'] },
+    price_low: PRICE,
+    price_high: PRICE,
+    price_typical: PRICE,
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    notes: { type: 'string' },
+  },
+};
+
+export const CORPUS_SCHEMAS = {
+  MassageShop: MASSAGE_SHOP_SCHEMA,
+  District: DISTRICT_SCHEMA,
+  PriceTier: PRICE_TIER_SCHEMA,
+};
+
+// Record type assumed for files whose records carry no `@type` (e.g. CSV)
+export const DEFAULT_RECORD_TYPES = {
+  'shops_verified.ndjson': 'MassageShop',
+  'district_profiles.json': 'District',
+  'pricing_reference.json': 'PriceTier',
+};
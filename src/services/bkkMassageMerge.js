@@ -1,9 +1,35 @@
 import { CacheService } from '../cache/cacheService.js';
+import { BkkTaskAnalyzer } from './taskAnalysis.js';
+import { DistrictLocator } from './districtLocator.js';
+import { ShopMatcher } from './shopMatcher.js';
+import { buildProvenance } from './provenance.js';
+import { resolveStrategy, applyStrategy } from './mergeStrategies.js';
+import { ConfidenceModel } from './confidenceModel.js';
+import { ConflictDetector } from './conflictDetector.js';
+import { parseOpeningHours, isOpenAt, nextBangkokTime } from './openingHours.js';
+import { shopPrice } from './shopQuery.js';
+import { assessShopPrices } from './pricing.js';
+import { sameDistrict } from '../cache/cacheKeys.js';
 import crypto from 'crypto';
 
 export class BkkMassageMergeService {
   constructor() {
     this.cache = new CacheService();
+    this.analyzer = new BkkTaskAnalyzer();
+    this.districtLocator = new DistrictLocator();
+    this.matcher = new ShopMatcher();
+    this.confidenceModel = new ConfidenceModel();
+    this.conflictDetector = new ConflictDetector();
+  }
+
+  /**
+   * Run a GPT analysis task (legitimacy, ranking, safety, pricing) over shops
+   */
+  async analyzeTask(task, shops) {
+    const districtProfiles = await this.cache.getDistrictProfiles();
+    const pricingReference = await this.cache.getPricingReference();
+
+    return this.analyzer.run(task, shops, { districtProfiles, pricingReference });
   }
 
   /**
@@ -12,11 +38,17 @@ export class BkkMassageMergeService {
   async mergeShopData(liveShops, options = {}) {
     const {
       mergeStrategy = 'enrich_with_corpus',
+      fieldPolicies = null,
       district = null,
+      matchThreshold = this.matcher.threshold,
+      includeProvenance = true,
     } = options;
+    const mergedAt = new Date().toISOString();
+    const strategy = resolveStrategy(mergeStrategy, fieldPolicies);
 
-    // Load corpus data
-    const corpusShops = await this.cache.getShops(district);
+    // Load corpus data. Candidates come from the corpus itself: cached shops
+    // include earlier merge results, which live shops would match exactly
+    const corpusShops = this.cache.getCorpusShops(district);
     const districtProfiles = await this.cache.getDistrictProfiles();
     const pricingReference = await this.cache.getPricingReference();
 
@@ -24,35 +56,80 @@ export class BkkMassageMergeService {
     if (!liveShops || liveShops.length === 0) {
       console.log(`[merge] No live shops provided, returning ${corpusShops.length} corpus shops`);
       return corpusShops.map(shop => {
-        const shopDistrict = this.extractDistrict(shop.address) || district;
+        const assignment = this.locateDistrict(shop, district);
+        const shopDistrict = assignment.district;
         const districtProfile = districtProfiles.find(d => d.name === shopDistrict);
-        const pricingRef = pricingReference.filter(p => p.district === shopDistrict);
+        const pricingRef = pricingReference.filter(p => sameDistrict(p.district, shopDistrict));
 
-        return {
+        const confidence = this.confidenceModel.score({ corpus: shop, districtProfile });
+        const result = {
           ...shop,
+          district: shopDistrict,
+          district_assignment: assignment,
           data_sources: ['corpus'],
-          confidence: 0.8, // High confidence for corpus data
+          confidence: confidence.score,
+          confidence_breakdown: confidence.factors,
           district_info: districtProfile || null,
           pricing_reference: pricingRef,
         };
+        Object.assign(result, assessShopPrices(result, pricingRef));
+        if (includeProvenance) {
+          result.provenance = buildProvenance(result, null, shop, { mergedAt });
+        }
+        return result;
       });
     }
 
     // Merge each live shop with corpus data
-    const mergedShops = liveShops.map(liveShop => {
-      const corpusMatch = this.findMatchingShop(liveShop, corpusShops);
-      const shopDistrict = this.extractDistrict(liveShop.address) || district;
+    const mergedShops = [];
+    for (const liveShop of liveShops) {
+      const match = await this.resolveMatch(liveShop, corpusShops, matchThreshold);
+      const corpusMatch = match.corpus;
+      const assignment = this.locateDistrict({
+        ...liveShop,
+        coordinates: liveShop.coordinates || corpusMatch?.coordinates,
+        district: liveShop.district || corpusMatch?.district,
+      }, district);
+      const shopDistrict = assignment.district;
       const districtProfile = districtProfiles.find(d => d.name === shopDistrict);
-      const pricingRef = pricingReference.filter(p => p.district === shopDistrict);
+      const pricingRef = pricingReference.filter(p => sameDistrict(p.district, shopDistrict));
 
-      return this.mergeWithStrategy(
+      const merged = this.mergeWithStrategy(
         liveShop,
         corpusMatch,
         districtProfile,
         pricingRef,
-        mergeStrategy
+        strategy
       );
-    });
+
+      const confidence = this.confidenceModel.score({
+        live: liveShop,
+        corpus: corpusMatch,
+        matchScore: match.score,
+        districtProfile,
+      });
+      const result = {
+        ...merged,
+        district: shopDistrict || merged.district || null,
+        district_assignment: assignment,
+        match: this.describeMatch(match),
+        confidence: confidence.score,
+        confidence_breakdown: confidence.factors,
+        conflicts: this.conflictDetector.detect(liveShop, corpusMatch, merged),
+      };
+      Object.assign(result, assessShopPrices(result, pricingRef));
+      if (includeProvenance) {
+        result.provenance = buildProvenance(result, liveShop, corpusMatch, { mergedAt });
+      }
+      if (corpusMatch) {
+        try {
+          this.cache.sqlite.saveConflicts(result, this.shopKey(corpusMatch), result.conflicts);
+        } catch (e) {
+          console.warn('[merge] Failed to persist conflicts:', e.message);
+        }
+      }
+      mergedShops.push(result);
+    }
 
     // Update cache
     await this.cache.updateShops(mergedShops);
@@ -60,123 +137,268 @@ export class BkkMassageMergeService {
     return mergedShops;
   }
 
-  findMatchingShop(liveShop, corpusShops) {
-    if (!corpusShops || corpusShops.length === 0) return null;
+  /**
+   * Filter and rank shops by a parsed natural-language query (see parseQuery).
+   * Hours constraints are evaluated relative to `at`.
+   */
+  applyQuery(shops, query, at = new Date()) {
+    const kept = shops.filter(shop => this.matchesQuery(shop, query, at));
+
+    const ranked = kept
+      .map(shop => ({ ...shop, query_match: this.scoreQueryMatch(shop, query) }))
+      .sort((a, b) => b.query_match.score - a.query_match.score);
 
-    // Try exact name match
-    let match = corpusShops.find(s => 
-      s.name && liveShop.name &&
-      s.name.toLowerCase() === liveShop.name.toLowerCase()
-    );
+    return {
+      shops: ranked,
+      excluded: shops.length - ranked.length,
+    };
+  }
 
-    // Try fuzzy match
-    if (!match) {
-      match = corpusShops.find(s => 
-        s.name && liveShop.name &&
-        this.isSimilarName(s.name, liveShop.name)
-      );
+  matchesQuery(shop, query, at = new Date()) {
+    if (query.district && shop.district && shop.district !== query.district) {
+      return false;
     }
 
-    // Try address match
-    if (!match && liveShop.address) {
-      match = corpusShops.find(s => 
-        s.address && this.isSimilarAddress(s.address, liveShop.address)
-      );
+    if (query.max_price) {
+      const price = shopPrice(shop, query.massage_type);
+      if (price !== null && price > query.max_price) return false;
     }
 
-    return match || null;
+    const schedule = parseOpeningHours(shop.hours);
+    if (schedule) {
+      const { open_24h, open_late, open_now, open_at } = query.hours;
+      if (open_24h && !schedule.always_open) return false;
+      if (open_late && !isOpenAt(schedule, nextBangkokTime('23:00', at))) return false;
+      if (open_at && !isOpenAt(schedule, nextBangkokTime(open_at, at))) return false;
+      if (open_now && !isOpenAt(schedule, at)) return false;
+    }
+
+    return true;
   }
 
-  mergeWithStrategy(live, corpus, district, pricing, strategy) {
-    switch (strategy) {
-      case 'enrich_with_corpus':
-        return {
-          id: live.id || corpus?.id || this.generateId(live.name),
-          name: live.name,
-          address: live.address || corpus?.address,
-          district: this.extractDistrict(live.address) || corpus?.district,
-          rating: live.rating || corpus?.rating,
-          review_count: live.review_count || corpus?.review_count || 0,
-          prettiest_women: live.prettiest_women_mentions || corpus?.prettiest_women || [],
-          pricing: live.pricing || corpus?.pricing || [],
-          line_usernames: live.line_usernames || corpus?.line_usernames || [],
-          websites: live.websites || corpus?.websites || [],
-          verified: corpus?.verified || false,
-          safety_signals: corpus?.safety_signals || [],
-          last_verified: corpus?.last_verified,
-          district_info: district?.profile || null,
-          pricing_reference: pricing || [],
-          data_sources: [
-            'google_maps',
-            corpus ? 'corpus' : null
-          ].filter(Boolean),
-          confidence: this.calculateConfidence(live, corpus),
-          last_updated: new Date().toISOString(),
-        };
+  scoreQueryMatch(shop, query) {
+    const reasons = [];
+    let score = 0;
+
+    if (shop.rating) {
+      score += (Math.min(shop.rating, 5) / 5) * 0.2;
+      reasons.push(`rating ${shop.rating}`);
+    }
+
+    if (query.prefer_franchise === true && shop.franchise) {
+      score += 0.2;
+      reasons.push('franchise preferred');
+    } else if (query.prefer_franchise === false && shop.franchise === false) {
+      score += 0.2;
+      reasons.push('independent shop preferred');
+    }
+
+    if (query.safety_priority || query.solo_traveler) {
+      if (shop.legit || shop.verified) {
+        score += 0.2;
+        reasons.push('verified legit');
+      }
+      const strengths = shop.strengths || [];
+      if (strengths.includes('open_storefront') && strengths.includes('visible_reception')) {
+        score += 0.1;
+        reasons.push('open storefront with visible reception');
+      }
+    }
+
+    if (query.solo_traveler && shop.notes && /\b(solo|safe)\b/i.test(shop.notes)) {
+      score += 0.15;
+      reasons.push('corpus notes safe for solo travelers');
+    }
+
+    if (query.budget || query.max_price) {
+      const price = shopPrice(shop, query.massage_type);
+      if (price !== null) {
+        const ceiling = query.max_price || 1000;
+        score += Math.max(0, 1 - price / ceiling) * 0.2;
+        reasons.push(`price ${price} THB`);
+      }
+    }
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      reasons,
+    };
+  }
 
-      case 'corpus_priority':
+  /**
+   * Match a live shop against the corpus, honouring manual pin/forbid overrides
+   * and queueing results in the ambiguity band for review
+   */
+  async resolveMatch(liveShop, corpusShops, threshold) {
+    const liveKey = this.shopKey(liveShop);
+    let overrides = [];
+    try {
+      overrides = this.cache.sqlite.getMatchOverrides(liveKey);
+    } catch (e) {
+      console.warn('[merge] Failed to load match overrides:', e.message);
+    }
+
+    const pin = overrides.find(o => o.action === 'pin');
+    if (pin) {
+      let pinned = corpusShops.find(s => this.shopKey(s) === pin.corpus_key);
+      if (!pinned) {
+        // The pinned shop may sit outside the requested district
+        pinned = this.cache.getCorpusShops().find(s => this.shopKey(s) === pin.corpus_key);
+      }
+      if (pinned) {
+        const { score, signals } = this.matcher.score(liveShop, pinned);
         return {
-          ...corpus,
-          rating: corpus.rating || live.rating,
-          review_count: corpus.review_count || live.review_count,
-          prettiest_women: [
-            ...(corpus.prettiest_women || []),
-            ...(live.prettiest_women_mentions || [])
-          ],
-          pricing: [
-            ...(corpus.pricing || []),
-            ...(live.pricing || [])
-          ],
-          data_sources: ['corpus', 'google_maps'],
+          live_key: liveKey,
+          corpus: pinned,
+          candidate: pinned,
+          matched: true,
+          score,
+          signals,
+          threshold,
+          rejection: null,
+          override: 'pin',
+          candidates: [],
         };
+      }
+      console.warn(`[merge] Pinned corpus shop ${pin.corpus_key} not found for ${liveKey}`);
+    }
+
+    const forbidden = new Set(overrides.filter(o => o.action === 'forbid').map(o => o.corpus_key));
+    const allowed = forbidden.size > 0
+      ? corpusShops.filter(s => !forbidden.has(this.shopKey(s)))
+      : corpusShops;
+
+    const match = {
+      live_key: liveKey,
+      override: forbidden.size > 0 ? 'forbid' : null,
+      ...this.matcher.findBestMatch(liveShop, allowed, threshold),
+    };
 
-      default:
-        return live;
+    if (this.matcher.needsReview(match)) {
+      try {
+        this.cache.sqlite.enqueueMatchReview({
+          live_key: liveKey,
+          live_shop: liveShop,
+          candidates: match.candidates.slice(0, 3).map(c => ({
+            corpus_key: this.shopKey(c.corpus),
+            name: c.corpus.name,
+            district: c.corpus.district || null,
+            score: c.score,
+            signals: c.signals,
+          })),
+          best_score: match.score,
+          reason: match.rejection,
+        });
+        match.queued_for_review = true;
+      } catch (e) {
+        console.warn('[merge] Failed to queue match for review:', e.message);
+      }
     }
+
+    return match;
   }
 
-  calculateConfidence(live, corpus) {
-    let score = 0.5;
+  /**
+   * Close a review queue entry: `match` pins the live shop to a corpus shop,
+   * `reject` forbids every queued candidate, `dismiss` just closes it
+   */
+  resolveMatchReview(id, { action, corpus_key = null, note = null }) {
+    const review = this.cache.sqlite.getMatchReview(id);
+    if (!review) return null;
 
-    if (corpus) {
-      score += 0.3;
-      if (corpus.verified) score += 0.2;
+    const overrides = [];
+    if (action === 'match') {
+      overrides.push(this.cache.sqlite.saveMatchOverride({
+        live_key: review.live_key,
+        corpus_key,
+        action: 'pin',
+        note: note || `review #${id}`,
+      }));
+    } else if (action === 'reject') {
+      for (const candidate of review.candidates) {
+        overrides.push(this.cache.sqlite.saveMatchOverride({
+          live_key: review.live_key,
+          corpus_key: candidate.corpus_key,
+          action: 'forbid',
+          note: note || `review #${id}`,
+        }));
+      }
     }
 
-    if (live.rating && live.rating > 4.0) score += 0.1;
-    if (live.review_count && live.review_count > 10) score += 0.1;
-
-    return Math.min(score, 1.0);
+    return {
+      review: this.cache.sqlite.resolveMatchReview(id, {
+        resolution: action,
+        corpus_key: action === 'match' ? corpus_key : null,
+      }),
+      overrides,
+    };
   }
 
-  extractDistrict(address) {
-    if (!address) return null;
+  /**
+   * Summarize a matcher result for the merged record: score, contributing
+   * signals, and the rejected candidate when the score was below threshold
+   */
+  describeMatch(match) {
+    const candidate = match.candidate
+      ? {
+        key: this.shopKey(match.candidate),
+        name: match.candidate.name,
+        district: match.candidate.district || null,
+      }
+      : null;
 
-    const districts = [
-      'Asok', 'Nana', 'Phrom Phong', 'Thonglor', 'Ekkamai',
-      'Silom', 'Ari', 'Victory Monument', 'Ratchada', 'Old City'
-    ];
+    return {
+      live_key: match.live_key,
+      matched: match.matched,
+      score: match.score,
+      threshold: match.threshold,
+      signals: match.signals,
+      rejection: match.rejection,
+      override: match.override || null,
+      queued_for_review: Boolean(match.queued_for_review),
+      corpus_shop: match.matched ? candidate : null,
+      rejected_candidate: !match.matched && candidate ? candidate : null,
+    };
+  }
 
-    const addressLower = address.toLowerCase();
-    return districts.find(d => addressLower.includes(d.toLowerCase())) || null;
+  shopKey(shop) {
+    return shop.id || this.generateId(shop.name);
   }
 
-  isSimilarName(name1, name2) {
-    if (!name1 || !name2) return false;
-    const n1 = name1.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const n2 = name2.toLowerCase().replace(/[^a-z0-9]/g, '');
-    return n1.includes(n2.substring(0, 5)) || n2.includes(n1.substring(0, 5));
+  /**
+   * Merge one live shop with its corpus match (or null) using a resolved
+   * strategy from mergeStrategies.js
+   */
+  mergeWithStrategy(live, corpus, district, pricing, strategy) {
+    return {
+      id: live.id || corpus?.id || this.generateId(live.name),
+      ...applyStrategy(strategy, live, corpus),
+      district: this.districtLocator.locate(live).district || corpus?.district,
+      district_info: district || null,
+      pricing_reference: pricing || [],
+      data_sources: [
+        'google_maps',
+        corpus ? 'corpus' : null
+      ].filter(Boolean),
+      merge_strategy: strategy.name,
+      last_updated: new Date().toISOString(),
+    };
   }
 
-  isSimilarAddress(addr1, addr2) {
-    if (!addr1 || !addr2) return false;
-    const a1 = addr1.toLowerCase();
-    const a2 = addr2.toLowerCase();
-    return a1.includes(a2.substring(0, 10)) || a2.includes(a1.substring(0, 10));
+  /**
+   * Resolve a shop's district and record which method assigned it
+   * (polygon, declared, address, or the request's district as a last resort)
+   */
+  locateDistrict(shop, fallbackDistrict = null) {
+    const assignment = this.districtLocator.locate(shop);
+    if (assignment.district) return assignment;
+
+    return fallbackDistrict
+      ? { district: fallbackDistrict, method: 'request' }
+      : { district: null, method: null };
   }
 
   generateId(name) {
     return crypto.createHash('sha256').update(name).digest('hex').substring(0, 16);
   }
 }
-
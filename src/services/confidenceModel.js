@@ -0,0 +1,205 @@
+import { pricesBySession, sessionPriceField } from './pricing.js';
+
+export const DEFAULT_CONFIDENCE_CONFIG = {
+  base: 0.3,
+  weights: {
+    corpus_match: 0.25,
+    verification: 0.15,
+    rating: 0.1,
+    review_volume: 0.1,
+    agreement: 0.1,
+  },
+  // Verification is worth half as much after this many days
+  verification_half_life_days: 180,
+  // Review counts saturate: ~63% of the weight at this many reviews, ~95% at 3x
+  review_saturation: 50,
+  // Live and corpus values within these tolerances count as agreeing; price_*
+  // tolerances are relative and apply per session of that massage type
+  agreement_tolerances: {
+    rating: 0.3,
+    price_traditional: 0.15,
+    price_oil: 0.15,
+    price_foot: 0.15,
+    hours: 0,
+  },
+  district_risk_penalty: {
+    low: 0,
+    moderate: 0.05,
+    high: 0.15,
+  },
+};
+
+function loadEnvConfig() {
+  if (!process.env.CONFIDENCE_CONFIG) return {};
+  try {
+    return JSON.parse(process.env.CONFIDENCE_CONFIG);
+  } catch (e) {
+    console.warn('[confidence] Ignoring invalid CONFIDENCE_CONFIG:', e.message);
+    return {};
+  }
+}
+
+export class ConfidenceModel {
+  constructor(config = {}) {
+    const envConfig = loadEnvConfig();
+    this.config = mergeConfig(mergeConfig(DEFAULT_CONFIDENCE_CONFIG, envConfig), config);
+  }
+
+  /**
+   * Confidence in [0, 1] for a merged shop, with the factor breakdown that
+   * produced it. `live` is null for corpus-only records.
+   */
+  score({ live = null, corpus = null, matchScore = null, districtProfile = null } = {}) {
+    const { weights } = this.config;
+    const factors = [
+      { factor: 'base', value: 1, weight: this.config.base, detail: 'baseline' },
+    ];
+
+    if (corpus) {
+      const value = live ? (matchScore ?? 1) : 1;
+      factors.push({
+        factor: 'corpus_match',
+        value,
+        weight: weights.corpus_match,
+        detail: live ? `matched corpus shop with score ${value}` : 'corpus record',
+      });
+      factors.push(this.verificationFactor(corpus));
+    } else {
+      factors.push({ factor: 'corpus_match', value: 0, weight: weights.corpus_match, detail: 'no corpus match' });
+    }
+
+    const rating = live?.rating ?? corpus?.rating;
+    if (typeof rating === 'number') {
+      factors.push({
+        factor: 'rating',
+        value: round(clamp((rating - 3) / 2)),
+        weight: weights.rating,
+        detail: `rating ${rating}/5`,
+      });
+    }
+
+    const reviews = live?.review_count ?? corpus?.review_count;
+    if (typeof reviews === 'number') {
+      factors.push({
+        factor: 'review_volume',
+        value: round(1 - Math.exp(-reviews / this.config.review_saturation)),
+        weight: weights.review_volume,
+        detail: `${reviews} reviews`,
+      });
+    }
+
+    if (live && corpus) {
+      const agreement = this.agreementFactor(live, corpus);
+      if (agreement) factors.push(agreement);
+    }
+
+    const penalty = districtProfile ? this.config.district_risk_penalty[districtProfile.risk_level] : undefined;
+    if (penalty) {
+      factors.push({
+        factor: 'district_risk',
+        value: -1,
+        weight: penalty,
+        detail: `${districtProfile.name} risk level ${districtProfile.risk_level}`,
+      });
+    }
+
+    for (const f of factors) {
+      f.contribution = round(f.value * f.weight);
+    }
+
+    return {
+      score: round(clamp(factors.reduce((sum, f) => sum + f.contribution, 0))),
+      factors,
+    };
+  }
+
+  verificationFactor(corpus) {
+    const verified = corpus.verified || corpus.legit === true;
+    if (!verified) {
+      return { factor: 'verification', value: 0, weight: this.config.weights.verification, detail: 'not verified' };
+    }
+
+    const time = corpus.last_verified ? new Date(corpus.last_verified).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      return {
+        factor: 'verification',
+        value: 0.5,
+        weight: this.config.weights.verification,
+        detail: 'verified, date unknown',
+      };
+    }
+
+    const days = Math.max(0, (Date.now() - time) / 86400000);
+    const decay = Math.pow(0.5, days / this.config.verification_half_life_days);
+    return {
+      factor: 'verification',
+      value: round(decay),
+      weight: this.config.weights.verification,
+      detail: `verified ${Math.floor(days)} days ago (half-life ${this.config.verification_half_life_days} days)`,
+    };
+  }
+
+  /**
+   * Fields present on both sides: +1 each agreeing, -1 each disagreeing,
+   * averaged so disagreement can pull the score down
+   */
+  agreementFactor(live, corpus) {
+    const agreed = [];
+    const disagreed = [];
+
+    for (const [field, tolerance] of Object.entries(this.config.agreement_tolerances)) {
+      if (field.startsWith('price_')) continue;
+
+      const a = live[field];
+      const b = corpus[field];
+      if (a === undefined || a === null || b === undefined || b === null) continue;
+
+      const same = typeof a === 'number' && typeof b === 'number'
+        ? Math.abs(a - b) <= (field === 'rating' ? tolerance : tolerance * Math.max(Math.abs(b), 1))
+        : String(a).replace(/\s/g, '') === String(b).replace(/\s/g, '');
+      (same ? agreed : disagreed).push(field);
+    }
+
+    // Prices are compared per normalized session, whichever way each side quotes them
+    const corpusSessions = pricesBySession(corpus);
+    for (const [session, [livePrice]] of pricesBySession(live)) {
+      const corpusPrice = corpusSessions.get(session)?.[0];
+      const tolerance = this.config.agreement_tolerances[`price_${livePrice.massage_type}`];
+      if (!corpusPrice || tolerance === undefined) continue;
+
+      const same = Math.abs(livePrice.amount - corpusPrice.amount) <= tolerance * Math.max(corpusPrice.amount, 1);
+      (same ? agreed : disagreed).push(sessionPriceField(livePrice));
+    }
+
+    const total = agreed.length + disagreed.length;
+    if (total === 0) return null;
+
+    return {
+      factor: 'agreement',
+      value: round((agreed.length - disagreed.length) / total),
+      weight: this.config.weights.agreement,
+      detail: [
+        agreed.length > 0 ? `agree: ${agreed.join(', ')}` : null,
+        disagreed.length > 0 ? `disagree: ${disagreed.join(', ')}` : null,
+      ].filter(Boolean).join('; '),
+    };
+  }
+}
+
+function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = value && typeof value === 'object' && !Array.isArray(value) && typeof base[key] === 'object'
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return result;
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
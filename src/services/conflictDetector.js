@@ -0,0 +1,162 @@
+import { haversineMeters } from './geo.js';
+import { pricesBySession, sessionPriceField } from './pricing.js';
+
+// Per-field tolerance before live and corpus values count as conflicting.
+// `absolute` is in the field's unit, `relative` a fraction of the corpus value.
+// price_<type> tolerances apply to every session of that massage type, with
+// prices normalized from the corpus columns and the live `pricing` array.
+export const DEFAULT_CONFLICT_TOLERANCES = {
+  rating: { absolute: 0.5, high: 1.0 },
+  price_traditional: { relative: 0.15, high: 0.4 },
+  price_oil: { relative: 0.15, high: 0.4 },
+  price_foot: { relative: 0.15, high: 0.4 },
+  hours: { exact: true },
+  franchise: { exact: true },
+  coordinates: { meters: 150, high: 500 },
+};
+
+function loadEnvTolerances() {
+  if (!process.env.CONFLICT_TOLERANCES) return {};
+  try {
+    return JSON.parse(process.env.CONFLICT_TOLERANCES);
+  } catch (e) {
+    console.warn('[conflicts] Ignoring invalid CONFLICT_TOLERANCES:', e.message);
+    return {};
+  }
+}
+
+export class ConflictDetector {
+  constructor(tolerances = {}) {
+    this.tolerances = { ...DEFAULT_CONFLICT_TOLERANCES, ...loadEnvTolerances(), ...tolerances };
+  }
+
+  /**
+   * Field-level disagreements between a live shop and its corpus match;
+   * `merged` supplies the value the merge strategy kept
+   */
+  detect(live, corpus, merged = {}) {
+    if (!live || !corpus) return [];
+
+    const conflicts = [];
+    for (const [field, tolerance] of Object.entries(this.tolerances)) {
+      if (PRICE_FIELD.test(field)) continue;
+
+      const liveValue = live[field];
+      const corpusValue = corpus[field];
+      if (isMissing(liveValue) || isMissing(corpusValue)) continue;
+
+      const conflict = this.compare(field, liveValue, corpusValue, tolerance);
+      if (!conflict) continue;
+
+      const kept = merged[field];
+      conflicts.push({
+        field,
+        live_value: liveValue,
+        corpus_value: corpusValue,
+        ...conflict,
+        kept_value: kept === undefined ? null : kept,
+        kept_source: kept === undefined ? null : sameValue(kept, liveValue)
+          ? 'google_maps'
+          : sameValue(kept, corpusValue) ? 'corpus' : 'combined',
+      });
+    }
+    return [...conflicts, ...this.detectPrices(live, corpus, merged)];
+  }
+
+  /**
+   * Price disagreements per session (massage type, duration, currency) quoted
+   * on both sides
+   */
+  detectPrices(live, corpus, merged) {
+    const corpusSessions = pricesBySession(corpus);
+    const keptSessions = pricesBySession(merged);
+    const conflicts = [];
+
+    for (const [session, [livePrice]] of pricesBySession(live)) {
+      const corpusPrice = corpusSessions.get(session)?.[0];
+      const tolerance = this.tolerances[`price_${livePrice.massage_type}`];
+      if (!corpusPrice || !tolerance) continue;
+
+      const field = sessionPriceField(livePrice);
+      const conflict = this.compare(field, livePrice.amount, corpusPrice.amount, tolerance);
+      if (!conflict) continue;
+
+      // A merged shop can carry both quotes: the corpus column and the live array
+      const kept = [...new Set((keptSessions.get(session) || []).map(price => price.amount))];
+      const keptLive = kept.includes(livePrice.amount);
+      const keptCorpus = kept.includes(corpusPrice.amount);
+      conflicts.push({
+        field,
+        live_value: livePrice.amount,
+        corpus_value: corpusPrice.amount,
+        ...conflict,
+        kept_value: kept.length === 0 ? null : kept.length === 1 ? kept[0] : kept,
+        kept_source: kept.length === 0 ? null : keptLive && !keptCorpus
+          ? 'google_maps'
+          : keptCorpus && !keptLive ? 'corpus' : 'combined',
+      });
+    }
+    return conflicts;
+  }
+
+  compare(field, liveValue, corpusValue, tolerance) {
+    if (tolerance.meters !== undefined) {
+      const meters = haversineMeters(
+        Number(liveValue.lat), Number(liveValue.lng),
+        Number(corpusValue.lat), Number(corpusValue.lng)
+      );
+      if (!Number.isFinite(meters) || meters <= tolerance.meters) return null;
+      return {
+        delta: Math.round(meters),
+        detail: `${Math.round(meters)} m apart (tolerance ${tolerance.meters} m)`,
+        severity: meters > (tolerance.high ?? Infinity) ? 'high' : 'medium',
+      };
+    }
+
+    if (tolerance.exact) {
+      if (normalizeText(liveValue) === normalizeText(corpusValue)) return null;
+      return {
+        delta: null,
+        detail: `live "${liveValue}" vs corpus "${corpusValue}"`,
+        severity: 'medium',
+      };
+    }
+
+    const live = Number(liveValue);
+    const corpus = Number(corpusValue);
+    if (!Number.isFinite(live) || !Number.isFinite(corpus)) return null;
+
+    const delta = live - corpus;
+    if (tolerance.relative !== undefined) {
+      const ratio = corpus !== 0 ? Math.abs(delta) / Math.abs(corpus) : Infinity;
+      if (ratio <= tolerance.relative) return null;
+      return {
+        delta,
+        delta_pct: Math.round((delta / (corpus || 1)) * 1000) / 10,
+        detail: `live ${live} vs corpus ${corpus} (tolerance ${tolerance.relative * 100}%)`,
+        severity: ratio > (tolerance.high ?? Infinity) ? 'high' : 'medium',
+      };
+    }
+
+    if (Math.abs(delta) <= tolerance.absolute) return null;
+    return {
+      delta: Math.round(delta * 100) / 100,
+      detail: `live ${live} vs corpus ${corpus} (tolerance ±${tolerance.absolute})`,
+      severity: Math.abs(delta) > (tolerance.high ?? Infinity) ? 'high' : 'medium',
+    };
+  }
+}
+
+const PRICE_FIELD = /^price_/;
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function normalizeText(value) {
+  return String(value).toLowerCase().replace(/\s+/g, '');
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,196 @@
+import { readFileSync } from 'fs';
+import { readCorpusFile } from '../loaders/corpusLoader.js';
+import { validateSchema } from '../loaders/corpusValidator.js';
+import { MASSAGE_SHOP_SCHEMA } from '../schemas/corpusSchemas.js';
+import { diffRecords } from './corpusDiff.js';
+
+export const SHOPS_FILE = 'shops_verified.ndjson';
+
+// Set by the service rather than by contributors
+const MANAGED_FIELDS = ['@type', 'id', 'last_verified'];
+
+/**
+ * Shop additions and edits submitted through the API. Each submission is
+ * validated and stored as a pending proposal; approving it writes the shop
+ * to the corpus file and refreshes the caches built from it.
+ *
+ * Methods return { proposal } on success or { error } with a code
+ * (invalid_record, shop_exists, shop_not_found, proposal_not_found,
+ * proposal_closed) and, for invalid records, the schema `errors`.
+ */
+export class CorpusContributions {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Propose a new shop. It gets a stable ID derived from its name (the same
+   * ID the caches would give it) that is written to the corpus, so later
+   * renames keep it.
+   */
+  proposeShop(input) {
+    const shop = stripManagedFields(input);
+    const id = typeof shop.name === 'string' && shop.name ? this.cache.sqlite.generateId(shop.name) : null;
+    const record = { '@type': 'MassageShop', id, ...shop, last_verified: today() };
+
+    const errors = validateShop(record);
+    if (errors.length > 0) return { error: 'invalid_record', errors };
+
+    if (this.findShop(id)) return { error: 'shop_exists', shop_id: id };
+    const pending = this.cache.sqlite.listCorpusProposals({ shop_id: id })
+      .find(proposal => proposal.action === 'create');
+    if (pending) return { error: 'shop_exists', shop_id: id, proposal_id: pending.id };
+
+    return { proposal: this.cache.sqlite.saveCorpusProposal({ action: 'create', shop_id: id, record }) };
+  }
+
+  /**
+   * Propose changes to a corpus shop; `null` removes a field
+   */
+  proposeShopUpdate(id, input) {
+    const current = this.findShop(id);
+    if (!current) return { error: 'shop_not_found' };
+
+    // last_verified is accepted but always restamped
+    const managed = ['@type', 'id'].filter(field => input[field] !== undefined);
+    if (managed.length > 0) {
+      return {
+        error: 'invalid_record',
+        errors: managed.map(field => ({ path: field, message: 'cannot be changed' })),
+      };
+    }
+
+    const changes = stripManagedFields(input);
+    const record = applyChanges(current.record, changes, id);
+    const diff = diffRecords(current.record, record);
+    delete diff.id;
+    delete diff.last_verified;
+    if (Object.keys(diff).length === 0) {
+      return { error: 'invalid_record', errors: [{ path: '(record)', message: 'no changes' }] };
+    }
+
+    const errors = validateShop(record);
+    if (errors.length > 0) return { error: 'invalid_record', errors };
+
+    return {
+      proposal: this.cache.sqlite.saveCorpusProposal({
+        action: 'update',
+        shop_id: id,
+        record,
+        changes,
+        base: current.record,
+      }),
+    };
+  }
+
+  /**
+   * Approve a pending proposal: the shop is written to the corpus file, which
+   * is then snapshotted, invalidated and re-warmed like any corpus edit. An
+   * update is re-applied to the shop as it is now, so edits approved in the
+   * meantime are kept.
+   */
+  async approve(proposalId, { note = null } = {}) {
+    const proposal = this.cache.sqlite.getCorpusProposal(proposalId);
+    if (!proposal) return { error: 'proposal_not_found' };
+    if (proposal.status !== 'pending') return { error: 'proposal_closed', proposal };
+
+    const current = this.findShop(proposal.shop_id);
+    let record;
+    if (proposal.action === 'create') {
+      if (current) return { error: 'shop_exists', shop_id: proposal.shop_id };
+      record = { ...proposal.record, last_verified: today() };
+    } else {
+      if (!current) return { error: 'shop_not_found' };
+      record = applyChanges(current.record, proposal.changes, proposal.shop_id);
+    }
+
+    const errors = validateShop(record);
+    if (errors.length > 0) return { error: 'invalid_record', errors };
+
+    const content = writeShop(current?.file || readCorpusFile(SHOPS_FILE), current?.index ?? null, record);
+    const written = await this.cache.writeCorpus(SHOPS_FILE, content);
+    console.log(`[corpus] Approved proposal #${proposalId} (${proposal.action} ${proposal.shop_id})`);
+
+    return {
+      proposal: this.cache.sqlite.resolveCorpusProposal(proposalId, {
+        status: 'approved',
+        record,
+        note,
+        corpus_hash: written.hash,
+      }),
+      corpus: written,
+    };
+  }
+
+  reject(proposalId, { note = null } = {}) {
+    const proposal = this.cache.sqlite.getCorpusProposal(proposalId);
+    if (!proposal) return { error: 'proposal_not_found' };
+    if (proposal.status !== 'pending') return { error: 'proposal_closed', proposal };
+
+    return { proposal: this.cache.sqlite.resolveCorpusProposal(proposalId, { status: 'rejected', note }) };
+  }
+
+  /**
+   * A corpus shop by ID (stored, or derived from its name) with its position
+   * in the shops file
+   */
+  findShop(id) {
+    const file = readCorpusFile(SHOPS_FILE);
+    if (!Array.isArray(file?.data)) return null;
+
+    const index = file.data.findIndex(record =>
+      record && (record.id || (record.name && this.cache.sqlite.generateId(record.name))) === id
+    );
+    return index === -1 ? null : { file, index, record: file.data[index] };
+  }
+}
+
+function validateShop(record) {
+  return validateSchema(record, MASSAGE_SHOP_SCHEMA);
+}
+
+function stripManagedFields(input) {
+  const shop = { ...input };
+  for (const field of MANAGED_FIELDS) delete shop[field];
+  return shop;
+}
+
+function applyChanges(record, changes, id) {
+  const updated = { ...record, id, ...changes, last_verified: today() };
+  for (const [field, value] of Object.entries(updated)) {
+    if (value === null) delete updated[field];
+  }
+  return updated;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * New content for the shops file with `record` replacing the one at `index`,
+ * or appended when `index` is null. NDJSON files are edited line by line so
+ * the other records are left byte-for-byte as they were.
+ */
+function writeShop(file, index, record) {
+  if (!file || file.format === 'empty' || file.format === 'ndjson') {
+    const lines = file && file.format === 'ndjson'
+      ? readFileSync(file.path, 'utf-8').replace(/\n+$/, '').split('\n')
+      : [];
+    if (index === null) {
+      lines.push(JSON.stringify(record));
+    } else {
+      lines[file.lines[index] - 1] = JSON.stringify(record);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  if (file.format === 'json' && Array.isArray(file.data)) {
+    const data = [...file.data];
+    if (index === null) data.push(record);
+    else data[index] = record;
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  throw new Error(`Cannot write shops to ${file.filename} (${file.format})`);
+}
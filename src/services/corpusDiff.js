@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+/**
+ * Field-level differences between two versions of a record:
+ * { field: { from, to } } for every field whose value changed
+ */
+export function diffRecords(before, after) {
+  const diff = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const from = before[key] === undefined ? null : before[key];
+    const to = after[key] === undefined ? null : after[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = { from, to };
+    }
+  }
+  return diff;
+}
+
+/**
+ * Stable identity of a corpus record across versions: shop id (or the id
+ * derived from its name, as the caches do), district name, or district and
+ * massage type for pricing tiers
+ */
+export function recordKey(record) {
+  if (record['@type'] === 'PriceTier' || (record.massage_type && record.price_low !== undefined)) {
+    return `${record.district}|${record.massage_type}`;
+  }
+  if (record['@type'] === 'District') return record.name;
+  if (record.id) return record.id;
+  return record.name ? crypto.createHash('sha256').update(record.name).digest('hex').substring(0, 16) : null;
+}
+
+/**
+ * Per-record diff between two versions of a corpus file's records
+ */
+export function diffCorpusRecords(before, after) {
+  const index = (records) => new Map(
+    (records || []).map(record => [recordKey(record), record]).filter(([key]) => key !== null)
+  );
+  const from = index(before);
+  const to = index(after);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, record] of to) {
+    if (!from.has(key)) {
+      added.push({ key, name: record.name || null, record });
+      continue;
+    }
+    const fields = diffRecords(from.get(key), record);
+    if (Object.keys(fields).length > 0) {
+      changed.push({ key, name: record.name || from.get(key).name || null, fields });
+    } else {
+      unchanged++;
+    }
+  }
+  for (const [key, record] of from) {
+    if (!to.has(key)) removed.push({ key, name: record.name || null, record });
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+  };
+}
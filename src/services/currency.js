@@ -0,0 +1,107 @@
+import { loadCorpusFiles, onCorpusChange } from '../loaders/corpusLoader.js';
+
+export const BASE_CURRENCY = 'THB';
+
+// Currencies without minor units are rounded to whole amounts
+const ZERO_DECIMAL_CURRENCIES = new Set(['JPY', 'KRW']);
+
+export class CurrencyConverter {
+  /**
+   * `rates` is an exchange_rates.json document: { base, as_of, source,
+   * rates: { USD: 0.03, ... } } giving units of each currency per 1 THB
+   */
+  constructor(rates = null) {
+    this.rates = rates;
+
+    if (!rates) {
+      onCorpusChange((files) => {
+        if (files.includes('exchange_rates.json')) this.rates = null;
+      });
+    }
+  }
+
+  getRates() {
+    if (!this.rates) {
+      const file = loadCorpusFiles('exchange_rates.json');
+      this.rates = file?.rates ? file : { base: BASE_CURRENCY, as_of: null, source: null, rates: {} };
+      if ((this.rates.base || BASE_CURRENCY) !== BASE_CURRENCY) {
+        console.warn(`[currency] exchange_rates.json base ${this.rates.base} is not ${BASE_CURRENCY}; ignoring`);
+        this.rates = { base: BASE_CURRENCY, as_of: null, source: null, rates: {} };
+      }
+    }
+    return this.rates;
+  }
+
+  supportedCurrencies() {
+    return [BASE_CURRENCY, ...Object.keys(this.getRates().rates)];
+  }
+
+  /**
+   * The rate used to show THB amounts in `currency`, or null when the
+   * currency isn't in the rates file
+   */
+  resolve(currency) {
+    const code = String(currency).toUpperCase();
+    const { as_of, source, rates } = this.getRates();
+    const rate = code === BASE_CURRENCY ? 1 : rates[code];
+    if (typeof rate !== 'number' || !(rate > 0)) return null;
+
+    return { base: BASE_CURRENCY, currency: code, rate, as_of: as_of || null, source: source || null };
+  }
+
+  /**
+   * Convert an amount between two supported currencies via THB
+   */
+  convert(amount, from, to) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+    const fromRate = this.resolve(from);
+    const toRate = this.resolve(to);
+    if (!fromRate || !toRate) return null;
+    return roundFor(toRate.currency, (amount / fromRate.rate) * toRate.rate);
+  }
+
+  /**
+   * Add `converted` amounts to a pricing reference tier
+   */
+  convertTier(tier, exchangeRate) {
+    const from = tier.currency || BASE_CURRENCY;
+    return {
+      ...tier,
+      converted: {
+        currency: exchangeRate.currency,
+        price_low: this.convert(tier.price_low, from, exchangeRate.currency),
+        price_high: this.convert(tier.price_high, from, exchangeRate.currency),
+        price_typical: this.convert(tier.price_typical, from, exchangeRate.currency),
+      },
+    };
+  }
+
+  /**
+   * Add `converted` corpus prices and a `converted_amount` on each normalized
+   * price; the original THB values are left untouched
+   */
+  convertShop(shop, exchangeRate) {
+    const to = exchangeRate.currency;
+    const result = {
+      ...shop,
+      converted: {
+        currency: to,
+        price_traditional: this.convert(shop.price_traditional, BASE_CURRENCY, to),
+        price_oil: this.convert(shop.price_oil, BASE_CURRENCY, to),
+      },
+    };
+    if (Array.isArray(shop.prices)) {
+      result.prices = shop.prices.map(price => ({
+        ...price,
+        converted_amount: this.convert(price.amount, price.currency, to),
+        converted_currency: to,
+      }));
+    }
+    return result;
+  }
+}
+
+function roundFor(currency, amount) {
+  const factor = ZERO_DECIMAL_CURRENCIES.has(currency) ? 1 : 100;
+  return Math.round(amount * factor) / factor;
+}
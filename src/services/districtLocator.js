@@ -0,0 +1,100 @@
+import { loadCorpusFiles, onCorpusChange } from '../loaders/corpusLoader.js';
+import { pointInGeometry } from './geo.js';
+
+// Address text fallback: English names, common alternate spellings and Thai script
+const DISTRICT_ADDRESS_TERMS = {
+  'Asok': ['asok', 'asoke', 'อโศก'],
+  'Nana': ['nana', 'นานา'],
+  'Phrom Phong': ['phrom phong', 'phromphong', 'prom pong', 'พร้อมพงษ์', 'พร้อมพงศ์'],
+  'Thonglor': ['thonglor', 'thong lor', 'thong lo', 'ทองหล่อ'],
+  'Ekkamai': ['ekkamai', 'ekamai', 'เอกมัย'],
+  'Silom': ['silom', 'สีลม'],
+  'Ari': ['ari', 'aree', 'อารีย์'],
+  'Victory Monument': ['victory monument', 'อนุสาวรีย์ชัย'],
+  'Ratchada': ['ratchada', 'ratchadaphisek', 'ratchadapisek', 'รัชดา'],
+  'Old City': ['old city', 'rattanakosin', 'phra nakhon', 'รัตนโกสินทร์', 'พระนคร'],
+};
+
+// Sukhumvit soi numbers that sit inside each district, used when the address
+// names a soi but no district ("Sukhumvit Soi 23")
+const SUKHUMVIT_SOI_RANGES = [
+  { district: 'Nana', from: 1, to: 12 },
+  { district: 'Asok', from: 13, to: 23 },
+  { district: 'Phrom Phong', from: 24, to: 39 },
+  { district: 'Thonglor', from: 40, to: 55 },
+  { district: 'Ekkamai', from: 56, to: 71 },
+];
+
+export const DISTRICT_NAMES = Object.keys(DISTRICT_ADDRESS_TERMS);
+
+export class DistrictLocator {
+  constructor(boundaries = null) {
+    this.boundaries = boundaries;
+
+    // Boundaries loaded from the corpus are re-read after it changes
+    if (!boundaries) {
+      onCorpusChange((files) => {
+        if (files.includes('district_boundaries.geojson')) this.boundaries = null;
+      });
+    }
+  }
+
+  getBoundaries() {
+    if (!this.boundaries) {
+      const geojson = loadCorpusFiles('district_boundaries.geojson');
+      this.boundaries = (geojson?.features || []).filter(f => f.properties?.name && f.geometry);
+    }
+    return this.boundaries;
+  }
+
+  /**
+   * Assign a district to a shop: polygon lookup on coordinates first, then the
+   * shop's declared district, then address text
+   */
+  locate(shop) {
+    const lat = Number(shop?.coordinates?.lat);
+    const lng = Number(shop?.coordinates?.lng);
+
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      const district = this.fromCoordinates(lat, lng);
+      if (district) return { district, method: 'polygon' };
+    }
+
+    if (shop?.district && DISTRICT_NAMES.includes(shop.district)) {
+      return { district: shop.district, method: 'declared' };
+    }
+
+    const fromAddress = this.fromAddress(shop?.address);
+    if (fromAddress) return { district: fromAddress, method: 'address' };
+
+    return { district: null, method: null };
+  }
+
+  fromCoordinates(lat, lng) {
+    const feature = this.getBoundaries().find(f => pointInGeometry(lat, lng, f.geometry));
+    return feature ? feature.properties.name : null;
+  }
+
+  fromAddress(address) {
+    if (!address) return null;
+    const lower = address.toLowerCase();
+
+    for (const [district, terms] of Object.entries(DISTRICT_ADDRESS_TERMS)) {
+      const found = terms.some(term => /^[a-z ]+$/.test(term)
+        ? new RegExp(`\\b${term}\\b`).test(lower)
+        : lower.includes(term));
+      if (found) return district;
+    }
+
+    const soi = lower.match(/sukhumvit\s*(?:road\s*)?(?:soi\s*)?(\d{1,3})\b/) ||
+      lower.match(/(?:soi|ซอย)\s*สุขุมวิท\s*(\d{1,3})/) ||
+      lower.match(/สุขุมวิท\s*(\d{1,3})/);
+    if (soi) {
+      const number = parseInt(soi[1], 10);
+      const range = SUKHUMVIT_SOI_RANGES.find(r => number >= r.from && number <= r.to);
+      if (range) return range.district;
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+const EARTH_RADIUS_M = 6371008.8;
+const METERS_PER_DEGREE_LAT = 111320;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two points in meters
+ */
+export function haversineMeters(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Lat/lng box that fully contains the circle of radiusMeters around a point
+ */
+export function boundingBox(lat, lng, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const dLng = radiusMeters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+
+  return {
+    minLat: lat - dLat,
+    maxLat: lat + dLat,
+    minLng: lng - dLng,
+    maxLng: lng + dLng,
+  };
+}
+
+export function isValidCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Ray-casting point-in-polygon test for GeoJSON Polygon/MultiPolygon geometries
+ * (coordinates are [lng, lat]; inner rings are holes)
+ */
+export function pointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(lat, lng, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => pointInPolygon(lat, lng, polygon));
+  }
+  return false;
+}
+
+function pointInPolygon(lat, lng, rings) {
+  const [outer, ...holes] = rings;
+  return pointInRing(lat, lng, outer) && !holes.some(hole => pointInRing(lat, lng, hole));
+}
+
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,247 @@
+export const FIELD_POLICIES = [
+  'prefer_live',
+  'prefer_corpus',
+  'newest_wins',
+  'union',
+  'max',
+  'weighted_average',
+];
+
+// Shop fields a strategy decides; `live` names the field on the Google Maps
+// record where it differs, `empty` is the value used when neither source has one
+export const MERGE_FIELDS = {
+  name: {},
+  address: {},
+  rating: {},
+  review_count: { empty: 0 },
+  prettiest_women: { live: 'prettiest_women_mentions', empty: [] },
+  pricing: { empty: [] },
+  line_usernames: { empty: [] },
+  websites: { empty: [] },
+  verified: { empty: false },
+  legit: {},
+  franchise: {},
+  strengths: { empty: [] },
+  price_traditional: {},
+  price_oil: {},
+  hours: {},
+  coordinates: {},
+  notes: {},
+  safety_signals: { empty: [] },
+  last_verified: {},
+};
+
+const LIVE_FIELDS = [
+  'name', 'address', 'rating', 'review_count', 'prettiest_women', 'pricing', 'line_usernames',
+  'websites', 'price_traditional', 'price_oil', 'hours', 'coordinates',
+];
+
+function presetFrom(defaultPolicy, policies = {}) {
+  const preset = {};
+  for (const field of Object.keys(MERGE_FIELDS)) {
+    preset[field] = policies[field] || defaultPolicy;
+  }
+  return preset;
+}
+
+const strategies = new Map();
+
+/**
+ * Register a named strategy: a per-field policy map. Fields left out use
+ * `prefer_live`.
+ */
+export function registerStrategy(name, policies, description = '') {
+  const errors = validateFieldPolicies(policies);
+  if (errors.length > 0) {
+    throw new Error(`Invalid merge strategy ${name}: ${errors.join('; ')}`);
+  }
+  strategies.set(name, { name, description, policies: presetFrom('prefer_live', policies) });
+}
+
+registerStrategy(
+  'enrich_with_corpus',
+  presetFrom('prefer_corpus', Object.fromEntries(LIVE_FIELDS.map(f => [f, 'prefer_live']))),
+  'Live Google Maps values first; verification fields from the corpus'
+);
+
+registerStrategy(
+  'corpus_priority',
+  presetFrom('prefer_corpus', { prettiest_women: 'union', pricing: 'union' }),
+  'Corpus values first, live data only fills gaps; mentions and pricing are combined'
+);
+
+registerStrategy(
+  'newest_wins',
+  presetFrom('newest_wins', { prettiest_women: 'union', pricing: 'union', strengths: 'union' }),
+  'Whichever source was updated most recently wins each field'
+);
+
+registerStrategy(
+  'consensus',
+  presetFrom('prefer_live', {
+    rating: 'weighted_average',
+    review_count: 'max',
+    prettiest_women: 'union',
+    pricing: 'union',
+    line_usernames: 'union',
+    websites: 'union',
+    strengths: 'union',
+    safety_signals: 'union',
+    verified: 'prefer_corpus',
+    legit: 'prefer_corpus',
+    franchise: 'prefer_corpus',
+    notes: 'prefer_corpus',
+    last_verified: 'prefer_corpus',
+  }),
+  'Blends both sources: averaged rating, combined lists, corpus verification'
+);
+
+export function listStrategies() {
+  return [...strategies.values()];
+}
+
+export function hasStrategy(name) {
+  return strategies.has(name);
+}
+
+/**
+ * Validate a strategy name plus optional ad-hoc per-field policies; returns
+ * a list of error messages (empty when valid)
+ */
+export function validateStrategy(name, fieldPolicies = null) {
+  const errors = [];
+  if (name && !strategies.has(name)) {
+    errors.push(`Unknown merge strategy: ${name}`);
+  }
+  if (fieldPolicies !== null && fieldPolicies !== undefined) {
+    if (typeof fieldPolicies !== 'object' || Array.isArray(fieldPolicies)) {
+      errors.push('fieldPolicies must be an object of field -> policy');
+    } else {
+      errors.push(...validateFieldPolicies(fieldPolicies));
+    }
+  }
+  return errors;
+}
+
+function validateFieldPolicies(policies) {
+  const errors = [];
+  for (const [field, spec] of Object.entries(policies)) {
+    if (!MERGE_FIELDS[field]) {
+      errors.push(`Unknown field: ${field}`);
+      continue;
+    }
+    const policy = typeof spec === 'string' ? spec : spec?.policy;
+    if (!FIELD_POLICIES.includes(policy)) {
+      errors.push(`Unknown policy for ${field}: ${policy}`);
+    }
+    if (policy === 'weighted_average' && typeof spec === 'object') {
+      const { live = 0.5, corpus = 0.5 } = spec.weights || {};
+      if (!(live >= 0 && corpus >= 0 && live + corpus > 0)) {
+        errors.push(`Invalid weights for ${field}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Resolve a named strategy with ad-hoc field policies layered on top
+ */
+export function resolveStrategy(name = 'enrich_with_corpus', fieldPolicies = null) {
+  const errors = validateStrategy(name, fieldPolicies);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  const base = strategies.get(name);
+  return {
+    name: fieldPolicies ? `${name}+custom` : name,
+    policies: { ...base.policies, ...(fieldPolicies || {}) },
+  };
+}
+
+/**
+ * Apply a resolved strategy to one live/corpus pair (corpus may be null)
+ */
+export function applyStrategy(strategy, live, corpus) {
+  const timestamps = {
+    live: toTime(live?.fetched_at || live?.updated_at || live?.last_updated) ?? Date.now(),
+    corpus: toTime(corpus?.last_verified),
+  };
+
+  const record = {};
+  for (const [field, meta] of Object.entries(MERGE_FIELDS)) {
+    const liveValue = live ? live[meta.live || field] : undefined;
+    const corpusValue = corpus ? corpus[field] : undefined;
+    const value = applyPolicy(strategy.policies[field], liveValue, corpusValue, timestamps);
+    record[field] = hasValue(value) ? value : (meta.empty ?? value);
+  }
+  return record;
+}
+
+function applyPolicy(spec, liveValue, corpusValue, timestamps) {
+  const policy = typeof spec === 'string' ? spec : spec.policy;
+  const hasLive = hasValue(liveValue);
+  const hasCorpus = hasValue(corpusValue);
+
+  switch (policy) {
+    case 'prefer_live':
+      return hasLive ? liveValue : corpusValue;
+
+    case 'prefer_corpus':
+      return hasCorpus ? corpusValue : liveValue;
+
+    case 'newest_wins': {
+      if (!hasLive || !hasCorpus) return hasLive ? liveValue : corpusValue;
+      return (timestamps.corpus ?? -Infinity) > timestamps.live ? corpusValue : liveValue;
+    }
+
+    case 'union': {
+      if (!Array.isArray(liveValue) && !Array.isArray(corpusValue)) {
+        return hasLive ? liveValue : corpusValue;
+      }
+      const seen = new Set();
+      return [...toArray(corpusValue), ...toArray(liveValue)].filter(item => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    case 'max': {
+      const numbers = [liveValue, corpusValue].filter(v => typeof v === 'number');
+      return numbers.length > 0 ? Math.max(...numbers) : (hasLive ? liveValue : corpusValue);
+    }
+
+    case 'weighted_average': {
+      const weights = { live: 0.5, corpus: 0.5, ...(typeof spec === 'object' ? spec.weights : {}) };
+      const parts = [
+        typeof liveValue === 'number' ? [liveValue, weights.live] : null,
+        typeof corpusValue === 'number' ? [corpusValue, weights.corpus] : null,
+      ].filter(p => p && p[1] > 0);
+      if (parts.length === 0) return hasLive ? liveValue : corpusValue;
+      const total = parts.reduce((sum, [, w]) => sum + w, 0);
+      return Math.round((parts.reduce((sum, [v, w]) => sum + v * w, 0) / total) * 100) / 100;
+    }
+
+    default:
+      throw new Error(`Unknown merge policy: ${policy}`);
+  }
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
@@ -0,0 +1,226 @@
+// All schedules are in Asia/Bangkok time: UTC+7 with no daylight saving
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  'every day': [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  weekend: [0, 6],
+};
+
+const ALWAYS_OPEN = /\b(24\s*\/\s*7|24\s*h(?:rs?|ours?)?|open 24|around the clock)\b/i;
+const CLOSED = /\bclosed\b/i;
+const TIME = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const RANGE = new RegExp(`${TIME}\\s*(?:-|–|—|to|until)\\s*${TIME}`, 'gi');
+const DAY_WORD = `(?:${Object.keys(DAY_ALIASES).sort((a, b) => b.length - a.length).join('|')})`;
+const DAY_SPEC = new RegExp(
+  `^\\s*((?:daily|every ?day|weekdays|weekends?|${DAY_WORD}\\.?(?:\\s*(?:-|–|to)\\s*${DAY_WORD}\\.?)?)` +
+  `(?:\\s*(?:&|and|/)\\s*${DAY_WORD}\\.?(?:\\s*(?:-|–|to)\\s*${DAY_WORD}\\.?)?)*)\\s*:?\\s*(.*)$`,
+  'i'
+);
+
+/**
+ * Parse a free-text hours string ("10:00-24:00", "Mon-Fri 10-22; Sat-Sun
+ * 09:00-02:00", "24h", "Sun closed") into a weekly schedule. Each day holds
+ * ranges in minutes from local midnight; overnight ranges close after 1440.
+ * Returns null when nothing can be interpreted.
+ */
+export function parseOpeningHours(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const days = WEEKDAYS.map(() => null);
+  let understood = false;
+
+  // Segments without their own day spec continue the previous one
+  let currentDays = DAY_GROUPS.daily;
+  for (const segment of text.split(/[;\n]|,(?=\s*[a-z])/i)) {
+    let rest = segment.trim();
+    if (!rest) continue;
+
+    const daySpec = rest.match(DAY_SPEC);
+    if (daySpec && daySpec[1]) {
+      currentDays = parseDays(daySpec[1]);
+      rest = daySpec[2];
+    }
+
+    if (ALWAYS_OPEN.test(rest)) {
+      for (const day of currentDays) days[day] = [{ open: 0, close: 1440 }];
+      understood = true;
+      continue;
+    }
+    if (CLOSED.test(rest)) {
+      for (const day of currentDays) days[day] = [];
+      understood = true;
+      continue;
+    }
+
+    const ranges = parseRanges(rest);
+    if (ranges.length === 0) continue;
+
+    for (const day of currentDays) {
+      days[day] = [...(days[day] || []), ...ranges];
+    }
+    understood = true;
+  }
+
+  if (!understood) return null;
+
+  // Days never mentioned in a day-specific schedule are treated as closed
+  const schedule = days.map(ranges => ranges || []);
+  const alwaysOpen = schedule.every(ranges => ranges.some(r => r.open === 0 && r.close >= 1440));
+  return { always_open: alwaysOpen, days: schedule };
+}
+
+function parseDays(spec) {
+  const lower = spec.toLowerCase().replace(/\./g, '').trim();
+  if (DAY_GROUPS[lower]) return DAY_GROUPS[lower];
+
+  const result = new Set();
+  for (const part of lower.split(/\s*(?:&|and|\/)\s*/)) {
+    const [from, to] = part.split(/\s*(?:-|–|to)\s*/).map(d => DAY_ALIASES[d.trim()]);
+    if (from === undefined) continue;
+    if (to === undefined) {
+      result.add(from);
+      continue;
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      result.add(day);
+      if (day === to) break;
+    }
+  }
+  return [...result];
+}
+
+function parseRanges(text) {
+  const ranges = [];
+  for (const match of text.matchAll(RANGE)) {
+    const open = toDayMinutes(match[1], match[2], match[3]);
+    let close = toDayMinutes(match[4], match[5], match[6]);
+    if (open === null || close === null) continue;
+    if (close <= open) close += 1440;
+    ranges.push({ open, close });
+  }
+  return ranges;
+}
+
+function toDayMinutes(hourText, minuteText, meridiem) {
+  let hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  const suffix = meridiem ? meridiem.toLowerCase().replace(/\./g, '') : null;
+
+  if (suffix === 'pm' && hour < 12) hour += 12;
+  if (suffix === 'am' && hour === 12) hour = 0;
+  if (hour > 24 || minute > 59 || (hour === 24 && minute > 0)) return null;
+  return hour * 60 + minute;
+}
+
+/**
+ * Bangkok-local weekday and minute-of-day for an instant
+ */
+export function bangkokParts(date = new Date()) {
+  const local = new Date(date.getTime() + BANGKOK_OFFSET_MS);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  return {
+    day: local.getUTCDay(),
+    minutes,
+    // UTC instant of the local midnight that starts this day
+    midnight: date.getTime() - (minutes * 60000 + local.getUTCSeconds() * 1000 + local.getUTCMilliseconds()),
+  };
+}
+
+/**
+ * Next instant (from `from`) at which Bangkok clocks show HH:MM
+ */
+export function nextBangkokTime(time, from = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const { midnight } = bangkokParts(from);
+  let at = midnight + (hours * 60 + minutes) * 60000;
+  if (at < from.getTime()) at += DAY_MS;
+  return new Date(at);
+}
+
+/**
+ * The range a schedule is open in at `date` (checking the previous day's
+ * overnight ranges too), with the instant it closes; null when closed
+ */
+export function findOpenRange(schedule, date = new Date()) {
+  if (!schedule) return null;
+  const { day, minutes, midnight } = bangkokParts(date);
+
+  for (const range of schedule.days[day]) {
+    if (minutes >= range.open && minutes < range.close) {
+      return { ...range, closes_at: new Date(midnight + range.close * 60000) };
+    }
+  }
+
+  const yesterday = (day + 6) % 7;
+  for (const range of schedule.days[yesterday]) {
+    if (minutes + 1440 >= range.open && minutes + 1440 < range.close) {
+      return { ...range, closes_at: new Date(midnight - DAY_MS + range.close * 60000) };
+    }
+  }
+  return null;
+}
+
+export function isOpenAt(schedule, date = new Date()) {
+  return findOpenRange(schedule, date) !== null;
+}
+
+/**
+ * `open_now` / `closes_at` for a shop at an instant; both null when the
+ * hours can't be parsed. `closes_at` is Bangkok local time (+07:00).
+ */
+export function shopOpenStatus(shop, date = new Date()) {
+  const schedule = parseOpeningHours(shop.hours);
+  if (!schedule) {
+    return { open_now: null, closes_at: null, opening_hours: null };
+  }
+
+  const range = findOpenRange(schedule, date);
+  return {
+    open_now: Boolean(range),
+    closes_at: range && !schedule.always_open ? toBangkokIso(range.closes_at) : null,
+    opening_hours: describeSchedule(schedule),
+  };
+}
+
+/**
+ * Add open status fields to shops; with `filterClosed`, shops known to be
+ * closed at `date` are dropped (unknown hours are kept)
+ */
+export function annotateOpenStatus(shops, date = new Date(), { filterClosed = false } = {}) {
+  const annotated = shops.map(shop => ({ ...shop, ...shopOpenStatus(shop, date) }));
+  return filterClosed ? annotated.filter(shop => shop.open_now !== false) : annotated;
+}
+
+export function describeSchedule(schedule) {
+  const weekly = {};
+  schedule.days.forEach((ranges, day) => {
+    weekly[WEEKDAYS[day]] = ranges.map(r => `${formatMinutes(r.open)}-${formatMinutes(r.close)}`);
+  });
+  return { always_open: schedule.always_open, weekly, timezone: 'Asia/Bangkok' };
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60) % 24 || (minutes >= 1440 && minutes % 1440 === 0 ? 24 : 0);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function toBangkokIso(date) {
+  return new Date(date.getTime() + BANGKOK_OFFSET_MS).toISOString().replace(/\.\d{3}Z$/, '+07:00');
+}
@@ -0,0 +1,215 @@
+import { sameDistrict } from '../cache/cacheKeys.js';
+
+export const PRICE_FLAGS = ['below_market', 'typical', 'premium', 'suspicious'];
+
+// Reference tiers are quoted for a 60 minute session in THB
+const REFERENCE_DURATION_MIN = 60;
+const DEFAULT_CURRENCY = 'THB';
+
+// Prices this far under the district floor (or over the ceiling) are treated
+// as a safety pattern, not just a bargain or a premium shop
+export const SUSPICIOUS_DISCOUNT = 0.25;
+export const SUSPICIOUS_MARKUP = 1.0;
+
+// Most worrying flag first when summarizing a shop with several prices
+const FLAG_SEVERITY = ['suspicious', 'below_market', 'premium', 'typical'];
+
+const MASSAGE_TYPE_PATTERNS = [
+  ['oil', /\b(oil|aroma(therapy)?|swedish)\b|น้ำมัน/i],
+  ['foot', /\b(foot|reflexology)\b|เท้า/i],
+  ['traditional', /\b(thai|traditional)\b|แผนไทย|นวดไทย/i],
+];
+
+const CURRENCY_PATTERNS = [
+  ['THB', /฿|\bthb\b|\bbaht\b|บาท/i],
+  ['USD', /\$|\busd\b/i],
+  ['EUR', /€|\beur\b/i],
+];
+
+/**
+ * Normalize one price entry into { massage_type, duration_min, amount,
+ * currency }. Accepts free text ("Thai massage 90 min 450 THB", "฿500/hr"),
+ * bare numbers or objects with amount/price, type and duration fields.
+ * Returns null when no amount can be found.
+ */
+export function normalizePrice(entry, defaults = {}) {
+  if (entry === null || entry === undefined) return null;
+
+  if (typeof entry === 'number') {
+    return buildPrice(entry, defaults);
+  }
+
+  if (typeof entry === 'object') {
+    const amount = Number(entry.amount ?? entry.price);
+    return buildPrice(amount, {
+      ...defaults,
+      massage_type: entry.massage_type || entry.type || defaults.massage_type,
+      duration_min: entry.duration_min ?? entry.duration ?? defaults.duration_min,
+      currency: entry.currency || defaults.currency,
+    });
+  }
+
+  const text = String(entry);
+  const duration = parseDuration(text);
+  // Drop duration figures so "90 min 450 THB" doesn't read 90 as the price
+  const withoutDuration = text.replace(DURATION_PATTERN, ' ');
+  const amountMatch = withoutDuration.replace(/(\d),(\d{3})/g, '$1$2').match(/\d+(?:\.\d+)?/);
+  if (!amountMatch) return null;
+
+  return buildPrice(parseFloat(amountMatch[0]), {
+    massage_type: detectMassageType(text) || defaults.massage_type,
+    duration_min: duration ?? defaults.duration_min,
+    currency: detectCurrency(text) || defaults.currency,
+  });
+}
+
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)\s*(minutes?|mins?|m\b|hours?|hrs?|h\b|ชั่วโมง|นาที)/gi;
+
+function parseDuration(text) {
+  const match = new RegExp(DURATION_PATTERN.source, 'i').exec(text);
+  if (match) {
+    const value = parseFloat(match[1]);
+    return /^(h|hr|hour|ชั่วโมง)/i.test(match[2]) ? Math.round(value * 60) : Math.round(value);
+  }
+  // "500/hr" quotes a per-hour rate
+  return /\/\s*(hr|hour|h)\b/i.test(text) ? 60 : null;
+}
+
+function detectMassageType(text) {
+  const match = MASSAGE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function detectCurrency(text) {
+  const match = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function buildPrice(amount, { massage_type = null, duration_min = null, currency = null } = {}) {
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  return {
+    massage_type: massage_type || null,
+    duration_min: Number(duration_min) > 0 ? Number(duration_min) : REFERENCE_DURATION_MIN,
+    amount,
+    currency: (currency || DEFAULT_CURRENCY).toUpperCase(),
+  };
+}
+
+/**
+ * All prices known for a shop: the corpus price_* columns plus whatever the
+ * live `pricing` array could be parsed into, de-duplicated
+ */
+export function normalizeShopPrices(shop) {
+  const prices = [];
+  for (const type of ['traditional', 'oil']) {
+    const price = normalizePrice(shop[`price_${type}`], { massage_type: type });
+    if (price) prices.push({ ...price, source: `price_${type}` });
+  }
+  for (const entry of Array.isArray(shop.pricing) ? shop.pricing : []) {
+    const price = normalizePrice(entry);
+    if (price) prices.push({ ...price, source: 'pricing' });
+  }
+
+  const seen = new Set();
+  return prices.filter(p => {
+    const key = `${p.massage_type}|${p.duration_min}|${p.amount}|${p.currency}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * A shop's normalized prices keyed by session (massage type, duration and
+ * currency), so live and corpus quotes for the same session can be compared.
+ * Untyped quotes count as traditional, as in assessPrice.
+ */
+export function pricesBySession(shop) {
+  const sessions = new Map();
+  for (const price of normalizeShopPrices(shop)) {
+    const massage_type = price.massage_type || 'traditional';
+    const key = `${massage_type}|${price.duration_min}|${price.currency}`;
+    if (!sessions.has(key)) sessions.set(key, []);
+    sessions.get(key).push({ ...price, massage_type });
+  }
+  return sessions;
+}
+
+/**
+ * Field name for a session's price: `price_oil` for an hour in THB, like the
+ * corpus columns, otherwise qualified (`price_oil_90min`, `price_oil_usd`)
+ */
+export function sessionPriceField({ massage_type, duration_min, currency }) {
+  return [
+    `price_${massage_type || 'traditional'}`,
+    duration_min !== REFERENCE_DURATION_MIN ? `${duration_min}min` : null,
+    currency !== DEFAULT_CURRENCY ? currency.toLowerCase() : null,
+  ].filter(Boolean).join('_');
+}
+
+/**
+ * Score a normalized price against a district's reference tiers. Untyped
+ * quotes are compared with the traditional tier. Durations are scaled to
+ * the reference hour before comparing. Districts match as in the caches,
+ * ignoring case and surrounding whitespace.
+ */
+export function assessPrice(price, district, pricingReference = []) {
+  const massageType = price.massage_type || 'traditional';
+  const tier = pricingReference.find(p => sameDistrict(p.district, district) && p.massage_type === massageType);
+
+  if (!tier) {
+    return { ...price, flag: null, reason: 'no_reference', district: district || null };
+  }
+  if ((tier.currency || DEFAULT_CURRENCY) !== price.currency) {
+    return { ...price, flag: null, reason: 'currency_mismatch', district: tier.district };
+  }
+
+  const hourly = round(price.amount * (REFERENCE_DURATION_MIN / price.duration_min));
+  let flag = 'typical';
+  if (hourly < tier.price_low * (1 - SUSPICIOUS_DISCOUNT) || hourly > tier.price_high * (1 + SUSPICIOUS_MARKUP)) {
+    flag = 'suspicious';
+  } else if (hourly < tier.price_low) {
+    flag = 'below_market';
+  } else if (hourly > tier.price_high) {
+    flag = 'premium';
+  }
+
+  return {
+    ...price,
+    flag,
+    district: tier.district,
+    per_hour: hourly,
+    reference: {
+      massage_type: tier.massage_type,
+      price_low: tier.price_low,
+      price_high: tier.price_high,
+      price_typical: tier.price_typical,
+      currency: tier.currency || DEFAULT_CURRENCY,
+    },
+    deviation_pct: tier.price_typical ? round(((hourly - tier.price_typical) / tier.price_typical) * 100) : null,
+  };
+}
+
+/**
+ * `prices`, per-price assessments and an overall `price_flag` (the most
+ * worrying one) for a shop in its district
+ */
+export function assessShopPrices(shop, pricingReference = []) {
+  const prices = normalizeShopPrices(shop);
+  const assessments = prices.map(price => assessPrice(price, shop.district, pricingReference));
+  const flags = assessments.map(a => a.flag).filter(Boolean);
+
+  return {
+    prices,
+    price_flag: FLAG_SEVERITY.find(flag => flags.includes(flag)) || null,
+    price_assessment: assessments,
+  };
+}
+
+export function annotatePriceFlags(shops, pricingReference = []) {
+  return shops.map(shop => ({ ...shop, ...assessShopPrices(shop, pricingReference) }));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,84 @@
+// Merged field name -> field name on the live Google Maps record, where they differ
+const LIVE_FIELD_NAMES = {
+  prettiest_women: 'prettiest_women_mentions',
+};
+
+// Bookkeeping fields the merge itself produces; they have no upstream source
+const META_FIELDS = new Set([
+  'data_sources',
+  'provenance',
+  'match',
+  'district_assignment',
+  'district_info',
+  'pricing_reference',
+  'confidence',
+  'confidence_breakdown',
+  'conflicts',
+  'prices',
+  'price_flag',
+  'price_assessment',
+  'merge_strategy',
+  'last_updated',
+]);
+
+/**
+ * Per-field provenance for a merged shop: which source supplied each value,
+ * that source's timestamp, and whether it overrode a different value from the
+ * other source
+ */
+export function buildProvenance(merged, live, corpus, options = {}) {
+  const mergedAt = options.mergedAt || new Date().toISOString();
+  const timestamps = {
+    google_maps: live?.fetched_at || live?.updated_at || live?.last_updated || mergedAt,
+    corpus: corpus?.last_verified || null,
+  };
+
+  const provenance = {};
+  for (const [field, value] of Object.entries(merged)) {
+    if (META_FIELDS.has(field) || value === undefined) continue;
+
+    const liveValue = live ? live[LIVE_FIELD_NAMES[field] || field] : undefined;
+    const corpusValue = corpus ? corpus[field] : undefined;
+    const hasLive = hasValue(liveValue);
+    const hasCorpus = hasValue(corpusValue);
+
+    let source;
+    if (hasLive && sameValue(value, liveValue)) {
+      source = 'google_maps';
+    } else if (hasCorpus && sameValue(value, corpusValue)) {
+      source = 'corpus';
+    } else if (hasLive && hasCorpus) {
+      source = 'combined';
+    } else if (hasLive || hasCorpus) {
+      source = 'derived';
+    } else {
+      source = 'default';
+    }
+
+    const entry = {
+      source,
+      source_timestamp: source === 'google_maps' || source === 'corpus' ? timestamps[source] : mergedAt,
+      overridden: (source === 'google_maps' || source === 'corpus') && hasLive && hasCorpus &&
+        !sameValue(liveValue, corpusValue),
+    };
+    if (entry.overridden) {
+      entry.overridden_source = source === 'google_maps' ? 'corpus' : 'google_maps';
+    }
+
+    provenance[field] = entry;
+  }
+
+  return provenance;
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,127 @@
+// District names and the spellings/landmarks users commonly use for them
+const DISTRICT_ALIASES = {
+  'Asok': ['asok', 'asoke', 'terminal 21', 'sukhumvit 21'],
+  'Nana': ['nana', 'sukhumvit 4', 'sukhumvit 11'],
+  'Phrom Phong': ['phrom phong', 'phromphong', 'prom pong', 'emporium', 'emquartier'],
+  'Thonglor': ['thonglor', 'thong lor', 'thong lo', 'sukhumvit 55'],
+  'Ekkamai': ['ekkamai', 'ekamai', 'sukhumvit 63'],
+  'Silom': ['silom', 'sala daeng', 'patpong'],
+  'Ari': ['ari', 'aree'],
+  'Victory Monument': ['victory monument', 'victory mon'],
+  'Ratchada': ['ratchada', 'ratchadaphisek', 'huai khwang'],
+  'Old City': ['old city', 'old town', 'rattanakosin', 'wat pho', 'khao san', 'khaosan', 'grand palace'],
+};
+
+const MASSAGE_TYPE_PATTERNS = [
+  { type: 'oil', pattern: /\b(oil|aroma(therapy)?|swedish)\b/i },
+  { type: 'foot', pattern: /\b(foot|feet|reflexology)\b/i },
+  { type: 'herbal', pattern: /\b(herbal|herb|compress)\b/i },
+  { type: 'traditional', pattern: /\b(traditional|thai massage|thai-style|stretch(ing)?)\b/i },
+];
+
+const PRICE_CEILING_PATTERNS = [
+  /\b(?:under|below|less than|max(?:imum)?|up to|no more than|cheaper than|within)\s*(?:฿|thb\s*)?(\d{2,5})/i,
+  /<\s*(?:฿|thb\s*)?(\d{2,5})/,
+  /(?:฿|thb\s*)?(\d{2,5})\s*(?:baht|thb|฿)?\s*(?:or less|max|tops|at most)\b/i,
+];
+
+/**
+ * Parse the free-text `content` of a merge request into a structured intent
+ * (district, massage type, price ceiling, hours needs, preferences)
+ */
+export function parseQuery(content) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  const lower = text.toLowerCase();
+
+  const parsed = {
+    raw: text,
+    district: null,
+    massage_type: null,
+    max_price: null,
+    budget: false,
+    hours: {
+      open_now: false,
+      open_late: false,
+      open_24h: false,
+      open_at: null,
+    },
+    prefer_franchise: null,
+    solo_traveler: false,
+    safety_priority: false,
+    matched_terms: [],
+  };
+
+  if (!text) return parsed;
+
+  for (const [district, aliases] of Object.entries(DISTRICT_ALIASES)) {
+    const alias = aliases.find(a => new RegExp(`\\b${escapeRegExp(a)}\\b`, 'i').test(lower));
+    if (alias) {
+      parsed.district = district;
+      parsed.matched_terms.push({ field: 'district', term: alias });
+      break;
+    }
+  }
+
+  for (const { type, pattern } of MASSAGE_TYPE_PATTERNS) {
+    const match = lower.match(pattern);
+    if (match) {
+      parsed.massage_type = type;
+      parsed.matched_terms.push({ field: 'massage_type', term: match[0] });
+      break;
+    }
+  }
+
+  for (const pattern of PRICE_CEILING_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      parsed.max_price = parseInt(match[1], 10);
+      parsed.matched_terms.push({ field: 'max_price', term: match[0].trim() });
+      break;
+    }
+  }
+
+  if (/\b(cheap|budget|affordable|inexpensive)\b/i.test(lower)) {
+    parsed.budget = true;
+  }
+
+  if (/\b(24\s*h(ou)?rs?|24\/7|all night|around the clock)\b/i.test(lower)) {
+    parsed.hours.open_24h = true;
+    parsed.hours.open_late = true;
+  }
+  if (/\b(open late|late[- ]night|late at night|after midnight|midnight|night owl)\b/i.test(lower)) {
+    parsed.hours.open_late = true;
+  }
+  if (/\b(open now|right now|currently open|tonight)\b/i.test(lower)) {
+    parsed.hours.open_now = true;
+  }
+  const atTime = lower.match(/\b(?:at|after|around|by)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+  if (atTime && (atTime[2] || atTime[3])) {
+    let hour = parseInt(atTime[1], 10);
+    if (atTime[3] === 'pm' && hour < 12) hour += 12;
+    if (atTime[3] === 'am' && hour === 12) hour = 0;
+    if (hour < 24) {
+      parsed.hours.open_at = `${String(hour).padStart(2, '0')}:${atTime[2] || '00'}`;
+      if (hour >= 22 || hour < 5) parsed.hours.open_late = true;
+    }
+  }
+
+  if (/\b(chain|franchise|well[- ]known|big brand|brand name)\b/i.test(lower)) {
+    parsed.prefer_franchise = true;
+  } else if (/\b(independent|local shop|family[- ]run|non[- ]chain|authentic local)\b/i.test(lower)) {
+    parsed.prefer_franchise = false;
+  }
+
+  if (/\b(solo|alone|by myself|on my own|single (female|woman|traveller|traveler)|female traveller|female traveler)\b/i.test(lower)) {
+    parsed.solo_traveler = true;
+  }
+
+  if (/\b(safe|safety|legit|legitimate|reputable|trusted|not sketchy|no happy ending)\b/i.test(lower)) {
+    parsed.safety_priority = true;
+  }
+
+  return parsed;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,272 @@
+import { haversineMeters } from './geo.js';
+import { DISTRICT_NAMES } from './districtLocator.js';
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.MATCH_THRESHOLD || '0.75');
+
+// Rejected matches scoring at least this much go to the review queue
+const DEFAULT_REVIEW_THRESHOLD = parseFloat(process.env.MATCH_REVIEW_THRESHOLD || '0.55');
+
+// A best candidate this close to the runner-up is not a confident match
+// ("Health Land" alone scores almost the same against every branch)
+const DEFAULT_MIN_MARGIN = 0.05;
+
+const DEFAULT_WEIGHTS = {
+  name: 0.4,
+  distance: 0.3,
+  contact: 0.2,
+  address: 0.1,
+};
+
+// Words every shop name carries; they say nothing about which shop it is
+const NAME_STOPWORDS = new Set([
+  'the', 'and', 'co', 'ltd', 'massage', 'spa', 'thai', 'traditional', 'branch', 'shop', 'by',
+]);
+
+const ADDRESS_STOPWORDS = new Set([
+  'road', 'rd', 'soi', 'street', 'st', 'bangkok', 'thailand', 'khet', 'khwaeng', 'floor', 'fl',
+]);
+
+const BRANCH_TOKENS = DISTRICT_NAMES.map(name => normalize(name));
+
+// Distance at which coordinates stop counting as the same storefront,
+// and beyond which two records are never merged
+const SAME_PLACE_M = 50;
+const NO_SIGNAL_M = 500;
+const VETO_DISTANCE_M = 2000;
+
+export class ShopMatcher {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    this.minMargin = options.minMargin ?? DEFAULT_MIN_MARGIN;
+    this.reviewThreshold = options.reviewThreshold ?? DEFAULT_REVIEW_THRESHOLD;
+    this.weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+  }
+
+  /**
+   * Best-scoring corpus candidate for a live shop. `matched` is false when the
+   * best score is under the threshold or too close to the runner-up; the
+   * candidate is still reported along with the rejection reason.
+   */
+  findBestMatch(liveShop, corpusShops, threshold = this.threshold) {
+    const candidates = (corpusShops || [])
+      .map(corpus => ({ corpus, ...this.score(liveShop, corpus) }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    if (!best) {
+      return {
+        corpus: null,
+        matched: false,
+        score: 0,
+        signals: [],
+        threshold,
+        rejection: 'no_candidates',
+        candidates: [],
+      };
+    }
+
+    let rejection = null;
+    if (best.score < threshold) {
+      rejection = 'below_threshold';
+    } else if (runnerUp && best.score - runnerUp.score < this.minMargin) {
+      rejection = 'ambiguous';
+    }
+
+    return {
+      corpus: rejection ? null : best.corpus,
+      candidate: best.corpus,
+      matched: !rejection,
+      score: best.score,
+      signals: best.signals,
+      threshold,
+      rejection,
+      candidates,
+    };
+  }
+
+  /**
+   * Whether a rejected match falls in the ambiguity band a human should review
+   */
+  needsReview(match) {
+    return match.rejection === 'ambiguous' ||
+      (match.rejection === 'below_threshold' && match.score >= this.reviewThreshold);
+  }
+
+  /**
+   * Weighted score in [0, 1] over the signals both records carry
+   */
+  score(live, corpus) {
+    const signals = [
+      this.nameSignal(live, corpus),
+      this.distanceSignal(live, corpus),
+      this.contactSignal(live, corpus),
+      this.addressSignal(live, corpus),
+    ].filter(Boolean);
+
+    if (signals.some(s => s.veto)) {
+      return { score: 0, signals };
+    }
+
+    const totalWeight = signals.reduce((sum, s) => sum + s.weight, 0);
+    const score = totalWeight > 0
+      ? signals.reduce((sum, s) => sum + s.score * s.weight, 0) / totalWeight
+      : 0;
+
+    return { score: round(score), signals };
+  }
+
+  nameSignal(live, corpus) {
+    if (!live.name || !corpus.name) return null;
+
+    const a = nameTokens(live.name);
+    const b = nameTokens(corpus.name);
+    const jaccard = jaccardSimilarity(a, b);
+    const jw = jaroWinkler(a.join(' '), b.join(' '));
+    let score = (jaccard + jw) / 2;
+    let detail = `jaccard ${round(jaccard)}, jaro-winkler ${round(jw)}`;
+
+    // "Health Land Asok" vs "Health Land Ekkamai": same chain, different branch
+    const branchA = a.filter(t => BRANCH_TOKENS.includes(t));
+    const branchB = b.filter(t => BRANCH_TOKENS.includes(t));
+    if (branchA.length > 0 && branchB.length > 0 && !branchA.some(t => branchB.includes(t))) {
+      score *= 0.5;
+      detail += `, branch mismatch (${branchA.join('/')} vs ${branchB.join('/')})`;
+    }
+
+    return { signal: 'name', score: round(score), weight: this.weights.name, detail };
+  }
+
+  distanceSignal(live, corpus) {
+    const from = live.coordinates;
+    const to = corpus.coordinates;
+    if (!from || !to || !Number.isFinite(Number(from.lat)) || !Number.isFinite(Number(to.lat))) return null;
+
+    const meters = haversineMeters(Number(from.lat), Number(from.lng), Number(to.lat), Number(to.lng));
+    const score = meters <= SAME_PLACE_M
+      ? 1
+      : Math.max(0, 1 - (meters - SAME_PLACE_M) / (NO_SIGNAL_M - SAME_PLACE_M));
+
+    return {
+      signal: 'distance',
+      score: round(score),
+      weight: this.weights.distance,
+      detail: `${Math.round(meters)} m apart`,
+      veto: meters > VETO_DISTANCE_M,
+    };
+  }
+
+  contactSignal(live, corpus) {
+    const a = contactIds(live);
+    const b = contactIds(corpus);
+    if (a.size === 0 || b.size === 0) return null;
+
+    const shared = [...a].filter(id => b.has(id));
+    return {
+      signal: 'contact',
+      score: shared.length > 0 ? 1 : 0,
+      weight: this.weights.contact,
+      detail: shared.length > 0 ? `shared ${shared.join(', ')}` : 'no shared phone or LINE ID',
+    };
+  }
+
+  addressSignal(live, corpus) {
+    if (!live.address || !corpus.address) return null;
+
+    const score = jaccardSimilarity(addressTokens(live.address), addressTokens(corpus.address));
+    return {
+      signal: 'address',
+      score: round(score),
+      weight: this.weights.address,
+      detail: `address token overlap ${round(score)}`,
+    };
+  }
+}
+
+function normalize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function nameTokens(name) {
+  const tokens = normalize(name).split(' ').filter(Boolean);
+  // Multi-word branch names ("phrom phong") are matched as a single token
+  const joined = tokens.join(' ');
+  const branches = BRANCH_TOKENS.filter(b => b.includes(' ') && joined.includes(b));
+  const rest = branches.reduce((text, b) => text.replace(b, ' '), joined).split(' ').filter(Boolean);
+  return [...rest.filter(t => !NAME_STOPWORDS.has(t)), ...branches];
+}
+
+function addressTokens(address) {
+  return normalize(address).split(' ').filter(t => t && !ADDRESS_STOPWORDS.has(t));
+}
+
+function contactIds(shop) {
+  const ids = new Set();
+  const phones = [shop.phone, ...(shop.phones || [])].filter(Boolean);
+  for (const phone of phones) {
+    const digits = String(phone).replace(/\D/g, '').replace(/^66/, '0');
+    if (digits.length >= 8) ids.add(`tel:${digits}`);
+  }
+  const lineIds = [shop.line_id, ...(shop.line_usernames || [])].filter(Boolean);
+  for (const lineId of lineIds) {
+    ids.add(`line:${String(lineId).toLowerCase().replace(/^@/, '')}`);
+  }
+  return ids;
+}
+
+function jaccardSimilarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 0;
+  const intersection = [...setA].filter(t => setB.has(t)).length;
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+function jaroWinkler(s1, s2) {
+  if (!s1 || !s2) return 0;
+  if (s1 === s2) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(s1.length, s2.length) / 2) - 1);
+  const matched1 = new Array(s1.length).fill(false);
+  const matched2 = new Array(s2.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < s1.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, s2.length);
+    for (let j = start; j < end; j++) {
+      if (!matched2[j] && s1[i] === s2[j]) {
+        matched1[i] = true;
+        matched2[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, k = 0; i < s1.length; i++) {
+    if (!matched1[i]) continue;
+    while (!matched2[k]) k++;
+    if (s1[i] !== s2[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / s1.length + matches / s2.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && s1[prefix] === s2[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
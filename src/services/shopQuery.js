@@ -0,0 +1,231 @@
+import { haversineMeters, isValidCoordinate } from './geo.js';
+import { annotateOpenStatus } from './openingHours.js';
+
+export const SHOP_SORTS = ['rating', 'price', 'distance', 'confidence', 'last_verified', 'relevance'];
+
+const DEFAULT_ORDER = {
+  rating: 'desc',
+  price: 'asc',
+  distance: 'asc',
+  confidence: 'desc',
+  last_verified: 'desc',
+  relevance: 'asc',
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Price for a massage type, or the cheapest listed price when no type is given
+ */
+export function shopPrice(shop, massageType = null) {
+  if (massageType === 'traditional' || massageType === 'oil') {
+    return shop[`price_${massageType}`] ?? null;
+  }
+  const prices = [shop.price_traditional, shop.price_oil].filter(p => typeof p === 'number');
+  return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Validate and normalize /v1/shops query parameters. Returns { params } or
+ * { errors } when something is malformed.
+ */
+export function parseShopQueryParams(query) {
+  const errors = [];
+  const params = {
+    q: query.q ? String(query.q).trim() : null,
+    verified: parseBoolean(query.verified, 'verified', errors),
+    franchise: parseBoolean(query.franchise, 'franchise', errors),
+    open_now: parseBoolean(query.open_now, 'open_now', errors),
+    open_at: parseOpenAt(query.open_at, errors),
+    min_price: parseNumber(query.min_price, 'min_price', errors),
+    max_price: parseNumber(query.max_price, 'max_price', errors),
+    massage_type: query.massage_type || null,
+    lat: parseNumber(query.lat, 'lat', errors),
+    lng: parseNumber(query.lng, 'lng', errors),
+    sort: query.sort || (query.q ? 'relevance' : null),
+    order: query.order || null,
+    limit: query.limit ? parseInt(query.limit, 10) : DEFAULT_LIMIT,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+
+  if (params.sort && !SHOP_SORTS.includes(params.sort)) {
+    errors.push(`sort must be one of: ${SHOP_SORTS.join(', ')}`);
+  }
+  if (params.sort === 'relevance' && !params.q) {
+    errors.push('sort=relevance requires q');
+  }
+  if (params.sort === 'distance' && !isValidCoordinate(params.lat, params.lng)) {
+    errors.push('sort=distance requires lat and lng');
+  }
+  if (params.order && !['asc', 'desc'].includes(params.order)) {
+    errors.push('order must be asc or desc');
+  }
+  if (params.massage_type && !['traditional', 'oil'].includes(params.massage_type)) {
+    errors.push('massage_type must be traditional or oil');
+  }
+  if (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (query.cursor && !params.cursor) {
+    errors.push('cursor is invalid');
+  }
+
+  return errors.length > 0 ? { errors } : { params };
+}
+
+/**
+ * Parse an `open_at` ISO timestamp; pushes to `errors` when malformed
+ */
+export function parseOpenAt(value, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push('open_at must be an ISO 8601 timestamp');
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Filter, sort and page a shop list. `searchRanks` maps shop id -> FTS rank
+ * when a full-text query was run.
+ */
+export function queryShops(shops, params, { searchRanks = null } = {}) {
+  const withDistance = isValidCoordinate(params.lat, params.lng);
+
+  // open_now / closes_at are evaluated at open_at when given; shops known to
+  // be closed then are dropped
+  const annotated = annotateOpenStatus(shops, params.open_at || new Date(), {
+    filterClosed: Boolean(params.open_at),
+  });
+
+  let results = annotated.filter(shop => {
+    if (searchRanks && !searchRanks.has(shop.id)) return false;
+    if (params.verified !== null && Boolean(shop.verified || shop.legit) !== params.verified) return false;
+    if (params.franchise !== null && Boolean(shop.franchise) !== params.franchise) return false;
+
+    if (params.min_price !== null || params.max_price !== null) {
+      const price = shopPrice(shop, params.massage_type);
+      if (price === null) return false;
+      if (params.min_price !== null && price < params.min_price) return false;
+      if (params.max_price !== null && price > params.max_price) return false;
+    }
+
+    if (params.open_now !== null && shop.open_now !== params.open_now) return false;
+    return true;
+  });
+
+  if (withDistance) {
+    results = results.map(shop => ({
+      ...shop,
+      distance_m: shop.coordinates
+        ? Math.round(haversineMeters(params.lat, params.lng, Number(shop.coordinates.lat), Number(shop.coordinates.lng)))
+        : null,
+    }));
+  }
+
+  const total = results.length;
+  if (!params.sort) {
+    return page(results, total, params, null);
+  }
+
+  const sortValue = sortValueFor(params.sort, params, searchRanks);
+  const direction = (params.order || DEFAULT_ORDER[params.sort]) === 'asc' ? 1 : -1;
+  const compare = (a, b) => compareKeys([sortValue(a), a.id], [sortValue(b), b.id], direction);
+
+  results.sort(compare);
+
+  if (params.cursor) {
+    results = results.filter(shop => compareKeys([sortValue(shop), shop.id], params.cursor, direction) > 0);
+  }
+
+  return page(results, total, params, sortValue);
+}
+
+function page(results, total, params, sortValue) {
+  // Unsorted listings keep their cache order and page by position
+  if (!sortValue) {
+    const offset = params.cursor && typeof params.cursor[0] === 'number' && params.cursor[1] === null
+      ? params.cursor[0]
+      : 0;
+    const shops = results.slice(offset, offset + params.limit);
+    const nextOffset = offset + shops.length;
+    return {
+      shops,
+      total,
+      next_cursor: nextOffset < results.length ? encodeCursor([nextOffset, null]) : null,
+    };
+  }
+
+  const shops = results.slice(0, params.limit);
+  const last = shops[shops.length - 1];
+  return {
+    shops,
+    total,
+    next_cursor: results.length > params.limit && last ? encodeCursor([sortValue(last), last.id]) : null,
+  };
+}
+
+function sortValueFor(sort, params, searchRanks) {
+  switch (sort) {
+    case 'rating':
+      return shop => (typeof shop.rating === 'number' ? shop.rating : null);
+    case 'price':
+      return shop => shopPrice(shop, params.massage_type);
+    case 'distance':
+      return shop => shop.distance_m ?? null;
+    case 'confidence':
+      return shop => (typeof shop.confidence === 'number' ? shop.confidence : null);
+    case 'last_verified':
+      return shop => {
+        const time = shop.last_verified ? new Date(shop.last_verified).getTime() : NaN;
+        return Number.isNaN(time) ? null : time;
+      };
+    case 'relevance':
+      return shop => searchRanks?.get(shop.id) ?? null;
+    default:
+      return () => null;
+  }
+}
+
+// Keyset comparison on [value, id]; nulls always sort last, ids break ties
+function compareKeys([valueA, idA], [valueB, idB], direction) {
+  if (valueA !== valueB) {
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return valueA < valueB ? -direction : direction;
+  }
+  return String(idA ?? '').localeCompare(String(idB ?? ''));
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    return Array.isArray(key) && key.length === 2 ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseBoolean(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  errors.push(`${name} must be true or false`);
+  return null;
+}
+
+function parseNumber(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    errors.push(`${name} must be a number`);
+    return null;
+  }
+  return number;
+}
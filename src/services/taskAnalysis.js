@@ -0,0 +1,307 @@
+import { assessShopPrices } from './pricing.js';
+
+export const ANALYSIS_TASKS = [
+  'legitimacy_scoring',
+  'district_aware_ranking',
+  'safety_pattern_recognition',
+  'price_sanity_checking',
+];
+
+// Contribution of each observed corpus strength to the legitimacy score
+const STRENGTH_WEIGHTS = {
+  open_storefront: 0.08,
+  posted_menu: 0.06,
+  visible_reception: 0.06,
+  uniforms: 0.05,
+  licensed_display: 0.08,
+  professional_branding: 0.04,
+  franchise_chains: 0.03,
+};
+
+const DISTRICT_RISK_SCORES = {
+  low: 1.0,
+  moderate: 0.6,
+  high: 0.2,
+};
+
+const NIGHT_SAFETY_SCORES = {
+  good: 1.0,
+  moderate: 0.6,
+  poor: 0.2,
+};
+
+const STALE_VERIFICATION_DAYS = 180;
+
+export class BkkTaskAnalyzer {
+  /**
+   * Run one of the GPT analysis tasks over a list of (merged) shops
+   */
+  run(task, shops, context = {}) {
+    const { districtProfiles = [], pricingReference = [] } = context;
+
+    switch (task) {
+      case 'legitimacy_scoring':
+        return this.legitimacyScoring(shops);
+      case 'district_aware_ranking':
+        return this.districtAwareRanking(shops, districtProfiles);
+      case 'safety_pattern_recognition':
+        return this.safetyPatternRecognition(shops, districtProfiles, pricingReference);
+      case 'price_sanity_checking':
+        return this.priceSanityChecking(shops, pricingReference);
+      default:
+        throw new Error(`Unknown analysis task: ${task}`);
+    }
+  }
+
+  legitimacyScoring(shops) {
+    const results = shops
+      .map(shop => ({
+        ...this.shopRef(shop),
+        ...this.scoreLegitimacy(shop),
+      }))
+      .sort((a, b) => b.legitimacy_score - a.legitimacy_score);
+
+    return {
+      task: 'legitimacy_scoring',
+      results,
+      summary: {
+        shops_scored: results.length,
+        high: results.filter(r => r.grade === 'high').length,
+        medium: results.filter(r => r.grade === 'medium').length,
+        low: results.filter(r => r.grade === 'low').length,
+      },
+    };
+  }
+
+  districtAwareRanking(shops, districtProfiles) {
+    const ranked = shops
+      .map(shop => {
+        const legitimacy = this.scoreLegitimacy(shop);
+        const district = this.scoreDistrict(shop, districtProfiles);
+        const rating = shop.rating ? Math.min(shop.rating / 5, 1) : 0.5;
+
+        const factors = [
+          { factor: 'legitimacy', value: legitimacy.legitimacy_score, weight: 0.5 },
+          { factor: 'district_safety', value: district.score, weight: 0.3, detail: district.detail },
+          {
+            factor: 'rating',
+            value: round(rating),
+            weight: 0.2,
+            detail: shop.rating ? `rating ${shop.rating}/5` : 'no rating, neutral 0.5 used',
+          },
+        ];
+
+        return {
+          ...this.shopRef(shop),
+          ranking_score: round(factors.reduce((sum, f) => sum + f.value * f.weight, 0)),
+          district_risk: district.risk_level,
+          factors,
+        };
+      })
+      .sort((a, b) => b.ranking_score - a.ranking_score)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+    return {
+      task: 'district_aware_ranking',
+      ranking: ranked,
+      weights: { legitimacy: 0.5, district_safety: 0.3, rating: 0.2 },
+    };
+  }
+
+  safetyPatternRecognition(shops, districtProfiles, pricingReference) {
+    const results = shops.map(shop => {
+      const flags = this.detectSafetyPatterns(shop, districtProfiles, pricingReference);
+      const level = flags.some(f => f.severity === 'high')
+        ? 'caution'
+        : flags.some(f => f.severity === 'medium') ? 'review' : 'clear';
+
+      return {
+        ...this.shopRef(shop),
+        safety_level: level,
+        flags,
+      };
+    });
+
+    const patternCounts = {};
+    for (const result of results) {
+      for (const flag of result.flags) {
+        patternCounts[flag.pattern] = (patternCounts[flag.pattern] || 0) + 1;
+      }
+    }
+
+    return {
+      task: 'safety_pattern_recognition',
+      results,
+      pattern_counts: patternCounts,
+    };
+  }
+
+  priceSanityChecking(shops, pricingReference) {
+    // Same normalized prices and flags as the pricing check, so both agree
+    const results = shops.map(shop => {
+      const { price_flag, price_assessment } = assessShopPrices(shop, pricingReference);
+      const checked = price_assessment.filter(check => check.flag);
+
+      return {
+        ...this.shopRef(shop),
+        sane: checked.length > 0 ? checked.every(check => check.flag === 'typical') : null,
+        price_flag,
+        checks: price_assessment,
+      };
+    });
+
+    return {
+      task: 'price_sanity_checking',
+      results,
+      summary: {
+        shops_checked: results.filter(r => r.sane !== null).length,
+        out_of_range: results.filter(r => r.sane === false).length,
+      },
+    };
+  }
+
+  /**
+   * Legitimacy score in [0, 1] built from the corpus `legit` flag and
+   * observed `strengths`, with every contributing factor listed
+   */
+  scoreLegitimacy(shop) {
+    const factors = [];
+
+    if (shop.legit === true) {
+      factors.push({ factor: 'corpus_legit', contribution: 0.4, detail: 'marked legit in verified corpus' });
+    } else if (shop.legit === false) {
+      factors.push({ factor: 'corpus_legit', contribution: 0, detail: 'marked NOT legit in verified corpus' });
+    } else if (shop.verified) {
+      factors.push({ factor: 'verified', contribution: 0.25, detail: 'verified, no explicit legit flag' });
+    } else {
+      factors.push({ factor: 'corpus_legit', contribution: 0.1, detail: 'no corpus verdict' });
+    }
+
+    for (const strength of shop.strengths || []) {
+      const weight = STRENGTH_WEIGHTS[strength];
+      if (weight) {
+        factors.push({ factor: `strength:${strength}`, contribution: weight });
+      }
+    }
+
+    if (shop.franchise) {
+      factors.push({ factor: 'franchise', contribution: 0.05, detail: 'part of a known chain' });
+    }
+
+    const verifiedDays = daysSince(shop.last_verified);
+    if (verifiedDays !== null) {
+      const recent = verifiedDays <= STALE_VERIFICATION_DAYS;
+      factors.push({
+        factor: 'last_verified',
+        contribution: recent ? 0.05 : 0,
+        detail: `verified ${verifiedDays} days ago${recent ? '' : ' (stale)'}`,
+      });
+    }
+
+    const score = round(Math.min(factors.reduce((sum, f) => sum + f.contribution, 0), 1));
+
+    return {
+      legitimacy_score: score,
+      grade: score >= 0.75 ? 'high' : score >= 0.5 ? 'medium' : 'low',
+      factors,
+    };
+  }
+
+  scoreDistrict(shop, districtProfiles) {
+    const profile = this.findDistrictProfile(shop.district, districtProfiles);
+    if (!profile) {
+      return {
+        score: 0.5,
+        risk_level: 'unknown',
+        detail: shop.district ? `no profile for ${shop.district}` : 'district unknown',
+      };
+    }
+
+    const risk = DISTRICT_RISK_SCORES[profile.risk_level] ?? 0.5;
+    const night = NIGHT_SAFETY_SCORES[profile.safety_at_night] ?? 0.5;
+
+    return {
+      score: round(risk * 0.7 + night * 0.3),
+      risk_level: profile.risk_level || 'unknown',
+      detail: `${profile.name}: risk ${profile.risk_level || 'unknown'}, night safety ${profile.safety_at_night || 'unknown'}`,
+    };
+  }
+
+  detectSafetyPatterns(shop, districtProfiles, pricingReference) {
+    const flags = [];
+    const strengths = shop.strengths || [];
+
+    if (shop.legit === false) {
+      flags.push({ pattern: 'not_legit', severity: 'high', detail: 'corpus marks this shop as not legit' });
+    } else if (shop.legit === undefined && !shop.verified) {
+      flags.push({ pattern: 'unverified', severity: 'medium', detail: 'no corpus verification' });
+    }
+
+    if (shop.strengths) {
+      if (!strengths.includes('open_storefront')) {
+        flags.push({ pattern: 'closed_storefront', severity: 'medium', detail: 'no open storefront observed' });
+      }
+      if (!strengths.includes('posted_menu')) {
+        flags.push({ pattern: 'no_posted_menu', severity: 'low', detail: 'no posted price menu observed' });
+      }
+      if (!strengths.includes('visible_reception')) {
+        flags.push({ pattern: 'no_visible_reception', severity: 'low', detail: 'no visible reception observed' });
+      }
+    }
+
+    for (const check of assessShopPrices(shop, pricingReference).price_assessment) {
+      if (check.flag === 'suspicious' && check.per_hour < check.reference.price_low) {
+        flags.push({
+          pattern: 'price_far_below_market',
+          severity: 'high',
+          detail: `${check.massage_type} ${check.per_hour} ${check.currency}/hour vs district floor ${check.reference.price_low} ${check.reference.currency}`,
+        });
+      }
+    }
+
+    const profile = this.findDistrictProfile(shop.district, districtProfiles);
+    if (profile && (profile.risk_level === 'moderate' || profile.risk_level === 'high')) {
+      flags.push({
+        pattern: 'elevated_district_risk',
+        severity: profile.risk_level === 'high' ? 'high' : 'low',
+        detail: `${profile.name} risk level ${profile.risk_level}`,
+      });
+    }
+
+    const verifiedDays = daysSince(shop.last_verified);
+    if (verifiedDays !== null && verifiedDays > STALE_VERIFICATION_DAYS) {
+      flags.push({ pattern: 'stale_verification', severity: 'low', detail: `last verified ${verifiedDays} days ago` });
+    }
+
+    if (shop.notes && /\b(verify|caution|careful)\b/i.test(shop.notes)) {
+      flags.push({ pattern: 'corpus_caution_note', severity: 'low', detail: shop.notes });
+    }
+
+    return flags;
+  }
+
+  findDistrictProfile(name, districtProfiles) {
+    if (!name) return null;
+    return districtProfiles.find(d => d.name === name) || null;
+  }
+
+  shopRef(shop) {
+    return {
+      id: shop.id || null,
+      name: shop.name,
+      district: shop.district || null,
+    };
+  }
+}
+
+function daysSince(date) {
+  if (!date) return null;
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) return null;
+  return Math.floor((Date.now() - time) / 86400000);
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
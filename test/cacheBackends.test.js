@@ -0,0 +1,141 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The SQLite store opens its database on import, so keep it in memory
+process.env.SQLITE_PATH = ':memory:';
+
+const { registerCacheBackend, cacheBackendTypes, createCacheBackend } = await import('../src/cache/cacheBackends.js');
+const { loadCacheConfig } = await import('../src/cache/cacheConfig.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const dir = mkdtempSync(join(tmpdir(), 'cache-backends-'));
+const config = loadCacheConfig({ SQLITE_PATH: ':memory:' });
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// Every local backend must behave the same behind the interface
+const BACKENDS = {
+  memory: () => createCacheBackend('memory', config),
+  sqlite: () => createCacheBackend('sqlite', config),
+  file: () => createCacheBackend({ type: 'file', dir: join(dir, 'file') }, config),
+};
+
+for (const [type, create] of Object.entries(BACKENDS)) {
+  describe(`${type} cache backend`, () => {
+    let backend;
+    before(() => {
+      backend = create();
+    });
+
+    test('describes itself', async () => {
+      assert.equal(backend.name, type);
+      assert.equal(backend.shared, false);
+      assert.equal(await backend.ping(), true);
+    });
+
+    test('returns null for a missing key', async () => {
+      assert.equal(await backend.get('bkk_massage:missing'), null);
+    });
+
+    test('returns what was stored', async () => {
+      const shops = [{ id: 'a', name: 'Health Land Asok', district: 'Asok' }];
+      await backend.set('bkk_massage:shops:district=asok', shops, 60, ['dataset:shops', 'district:asok']);
+      assert.deepEqual(await backend.get('bkk_massage:shops:district=asok'), shops);
+    });
+
+    test('expires entries after their TTL', async () => {
+      await backend.set('bkk_massage:short', [1], 0.05, []);
+      await sleep(80);
+      assert.equal(await backend.get('bkk_massage:short'), null);
+    });
+
+    test('drops only entries carrying an invalidated tag', async () => {
+      await backend.set('bkk_massage:shops', [{ id: 'a' }], 60, ['dataset:shops', 'shop:a']);
+      await backend.set('bkk_massage:pricing', [{ district: 'Asok' }], 60, ['dataset:pricing']);
+
+      assert.equal(await backend.invalidateTags(['shop:a', 'shop:unknown']), 1);
+      assert.equal(await backend.get('bkk_massage:shops'), null);
+      assert.deepEqual(await backend.get('bkk_massage:pricing'), [{ district: 'Asok' }]);
+    });
+
+    test('lists live keys matching a pattern', async () => {
+      await backend.set('bkk_massage:districts', [{ name: 'Asok' }], 60, ['dataset:districts']);
+      const { keys, totals } = await backend.inspect('bkk_massage:d*');
+
+      assert.deepEqual(keys.map(k => k.key), ['bkk_massage:districts']);
+      assert.deepEqual(keys[0].tags, ['dataset:districts']);
+      assert.ok(keys[0].ttl_s > 0 && keys[0].ttl_s <= 60);
+      assert.ok(totals.keys >= 1);
+    });
+  });
+}
+
+describe('cache backend registry', () => {
+  test('has the built-in types', () => {
+    for (const type of ['memory', 'redis', 'sqlite', 'file']) {
+      assert.ok(cacheBackendTypes().includes(type), type);
+    }
+  });
+
+  test('rejects unknown types', () => {
+    assert.throws(() => createCacheBackend('memcached', config), /Unknown cache backend "memcached"/);
+  });
+
+  test('needs a URL for redis', () => {
+    const url = process.env.REDIS_URL;
+    delete process.env.REDIS_URL;
+    try {
+      assert.throws(() => createCacheBackend('redis', config), /REDIS_URL/);
+    } finally {
+      if (url !== undefined) process.env.REDIS_URL = url;
+    }
+  });
+
+  test('passes options from a spec', () => {
+    const backend = createCacheBackend({ type: 'memory', maxEntries: 2 }, config);
+    backend.set('a', 1, 60);
+    backend.set('b', 2, 60);
+    backend.set('c', 3, 60);
+    assert.equal(backend.get('a'), null);
+    assert.equal(backend.inspect().totals.evictions, 1);
+  });
+
+  test('builds registered types', () => {
+    registerCacheBackend('test', (options) => ({ name: 'test', shared: false, options }));
+    assert.deepEqual(createCacheBackend({ type: 'test', size: 3 }, config).options, { size: 3 });
+  });
+});
+
+describe('cache config', () => {
+  test('defaults to the memory backend', () => {
+    assert.deepEqual(loadCacheConfig({}).backends, ['memory']);
+    assert.deepEqual(loadCacheConfig({ REDIS_URL: 'redis://localhost' }).backends, ['memory', 'redis']);
+  });
+
+  test('reads backends and the SQLite path from the environment', () => {
+    const env = loadCacheConfig({ CACHE_BACKENDS: 'memory, file', SQLITE_PATH: ':memory:' });
+    assert.deepEqual(env.backends, ['memory', 'file']);
+    assert.equal(env.sqlite.path, ':memory:');
+  });
+
+  test('reads a config file, with environment variables taking precedence', () => {
+    const path = join(dir, 'cache.json');
+    writeFileSync(path, JSON.stringify({
+      backends: [{ type: 'file', dir: 'entries' }],
+      sqlite: { path: 'store.sqlite' },
+      ttls: { shops: { ttl: 60 } },
+    }));
+
+    const file = loadCacheConfig({ CACHE_CONFIG: path });
+    assert.deepEqual(file.backends, [{ type: 'file', dir: 'entries' }]);
+    assert.equal(file.sqlite.path, join(dir, 'store.sqlite'));
+    assert.equal(file.ttls.shops.ttl, 60);
+    assert.equal(createCacheBackend(file.backends[0], file).dir, join(dir, 'entries'));
+
+    assert.deepEqual(loadCacheConfig({ CACHE_CONFIG: path, CACHE_BACKENDS: 'memory' }).backends, ['memory']);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+
+// A pure in-memory setup: no Redis, no files written
+process.env.CACHE_BACKENDS = 'memory';
+process.env.SQLITE_PATH = ':memory:';
+process.env.CORPUS_DIR = fileURLToPath(new URL('../corpus', import.meta.url));
+delete process.env.CACHE_CONFIG;
+
+const { CacheService } = await import('../src/cache/cacheService.js');
+
+describe('CacheService with the memory backend', () => {
+  const cache = new CacheService();
+
+  test('uses only the configured backend', () => {
+    assert.deepEqual(cache.backends.map(backend => backend.name), ['memory']);
+    assert.equal(cache.redis, null);
+  });
+
+  test('loads shops from the corpus, then serves them from memory', async () => {
+    const loaded = await cache.getShops('Asok');
+    assert.ok(loaded.length > 0);
+    assert.ok(loaded.every(shop => shop.district === 'Asok'));
+    assert.equal(cache.tierStats.corpus.hits, 1);
+
+    const cached = await cache.getShops('asok ');
+    assert.deepEqual(cached, loaded);
+    assert.equal(cache.tierStats.memory.hits, 1);
+  });
+
+  test('drops tagged entries on invalidation', async () => {
+    const deleted = await cache.invalidateTags(['district:asok']);
+    assert.ok(deleted.memory >= 1);
+
+    const { backends } = await cache.inspectCache('bkk_massage:shops*');
+    assert.ok(backends[0].keys.every(entry => !entry.tags.includes('district:asok')));
+  });
+
+  test('refills from SQLite after invalidation', async () => {
+    const before = cache.tierStats.store.hits;
+    assert.ok((await cache.getShops('Asok')).length > 0);
+    assert.equal(cache.tierStats.store.hits, before + 1);
+  });
+
+  test('keeps records only the SQLite store holds behind its own methods', async () => {
+    const [snapshot] = await cache.listCorpusSnapshots('shops_verified.ndjson');
+    assert.ok(snapshot?.hash);
+    assert.equal((await cache.getCorpusSnapshot('shops_verified.ndjson', snapshot.hash.slice(0, 8))).hash, snapshot.hash);
+
+    const override = await cache.saveMatchOverride({ live_key: 'live-a', corpus_key: 'corpus-a', action: 'pin' });
+    assert.deepEqual((await cache.listMatchOverrides()).map(o => o.id), [override.id]);
+    assert.equal(await cache.deleteMatchOverride(override.id), true);
+    assert.deepEqual(await cache.getConflicts({ district: 'Asok' }), []);
+  });
+});
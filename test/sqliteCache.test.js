@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The SQLite store opens its database on import, so keep it in memory
+process.env.SQLITE_PATH = ':memory:';
+
+const { SQLiteCache } = await import('../src/cache/sqliteCache.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const HEALTH_LAND = { id: 'health-land-asok', name: 'Health Land Asok', district: 'Asok', rating: 4.5 };
+const TEST_SPA = { id: 'test-spa-asok', name: 'Test Spa Asok', district: 'Asok', rating: 4.1 };
+
+describe('shop revisions', () => {
+  const sqlite = new SQLiteCache();
+
+  test('leave shops removed from the corpus out of later as_of queries', async () => {
+    sqlite.replaceCorpusShops([HEALTH_LAND, TEST_SPA]);
+    await sleep(5);
+    const beforeRemoval = new Date().toISOString();
+    await sleep(5);
+
+    assert.deepEqual(sqlite.replaceCorpusShops([HEALTH_LAND]), ['test-spa-asok']);
+    await sleep(5);
+    const afterRemoval = new Date().toISOString();
+
+    const before = sqlite.getShopsAsOf(beforeRemoval, 'asok');
+    assert.deepEqual(before.map(shop => shop.id), ['health-land-asok', 'test-spa-asok']);
+
+    const after = sqlite.getShopsAsOf(afterRemoval, 'asok');
+    assert.deepEqual(after.map(shop => shop.id), ['health-land-asok']);
+  });
+
+  test('end a removed shop\'s history with a tombstone', () => {
+    const history = sqlite.getShopHistory('test-spa-asok', { includeSnapshots: true });
+    assert.equal(history.length, 2);
+    assert.equal(history[1].snapshot.deleted, true);
+    assert.ok(history[1].snapshot.deleted_at);
+  });
+
+  test('start a new revision when a removed shop comes back', async () => {
+    await sleep(5);
+    sqlite.replaceCorpusShops([HEALTH_LAND, TEST_SPA]);
+    await sleep(5);
+
+    const shops = sqlite.getShopsAsOf(new Date().toISOString(), 'Asok');
+    assert.deepEqual(shops.map(shop => shop.id), ['health-land-asok', 'test-spa-asok']);
+    assert.equal(shops[1].revision, 3);
+    assert.equal(shops[1].deleted, undefined);
+  });
+});
+
+describe('shop conflicts', () => {
+  const sqlite = new SQLiteCache();
+
+  test('filter by district ignoring case and surrounding whitespace', () => {
+    sqlite.saveConflicts(HEALTH_LAND, HEALTH_LAND.id, [
+      { field: 'rating', live_value: 4.8, corpus_value: 4.5, severity: 'low', detail: 'rating differs' },
+    ]);
+
+    for (const district of ['Asok', 'asok', ' ASOK ']) {
+      assert.deepEqual(sqlite.getConflicts({ district }).map(c => c.field), ['rating'], district);
+    }
+    assert.deepEqual(sqlite.getConflicts({ district: 'Silom' }), []);
+  });
+});
+
+describe('shop search', () => {
+  const sqlite = new SQLiteCache();
+
+  test('ignores punctuation between search terms', () => {
+    sqlite.saveShops([HEALTH_LAND, { id: 'lets-relax', name: "Let's Relax Onsen & Spa", district: 'Thonglor' }]);
+
+    assert.deepEqual([...sqlite.searchShops('Health & Asok').keys()], ['health-land-asok']);
+    assert.deepEqual([...sqlite.searchShops('relax - onsen').keys()], ['lets-relax']);
+    assert.deepEqual([...sqlite.searchShops('"Health"').keys()], ['health-land-asok']);
+    assert.equal(sqlite.searchShops('& -').size, 0);
+  });
+});